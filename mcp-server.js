@@ -1,34 +1,59 @@
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { SubscribeRequestSchema, UnsubscribeRequestSchema } from "@modelcontextprotocol/sdk/types.js";
 import z from "zod";
 import fs from "fs/promises";
 import path from "path";
 import { exec } from "child_process";
 import { promisify } from "util";
 import { spawn } from "child_process";
+import { createHash } from "crypto";
+import { fileURLToPath } from "url";
+import os from "os";
 
 const execAsync = promisify(exec);
 
 // Constants for Clang AST generation
 const CLANG_NULL_POINTER = '0x0';  // Clang's JSON AST representation for null pointer
-const CLANG_AST_ARGS = ['-x', 'objective-c', '-Xclang', '-ast-dump=json', '-fsyntax-only', '-fno-color-diagnostics'];
+const CLANG_LANGUAGE_ARGS = ['-x', 'objective-c'];
+// Objective-C++ sources (added through the config's extensions) need their own language
+const clangLanguageArgs = (file) => /\.(mm|hh)$/.test(file) ? ['-x', 'objective-c++'] : CLANG_LANGUAGE_ARGS;
+const CLANG_AST_ARGS = ['-Xclang', '-ast-dump=json', '-fsyntax-only', '-fno-color-diagnostics'];
+
+// Defaults for parsing files in parallel
+const DEFAULT_CONCURRENCY = os.cpus().length || 1;
+const DEFAULT_PARSE_TIMEOUT_SECONDS = 60;
 
 // Helper to safely calculate length from Clang AST range
 function calculateRangeLength(range) {
+  // Macro-expanded ranges (NS_ENUM etc.) carry their offsets on the expansion location
+  const begin = range?.begin?.expansionLoc?.offset ?? range?.begin?.offset;
+  const end = range?.end?.expansionLoc?.offset ?? range?.end?.offset;
   // Check for null/undefined, but allow 0 as a valid offset
-  if (range?.begin?.offset === null || range?.begin?.offset === undefined ||
-      range?.end?.offset === null || range?.end?.offset === undefined) {
+  if (begin === null || begin === undefined || end === null || end === undefined) {
     return undefined;
   }
-  return range.end.offset - range.begin.offset;
+  return end - begin;
 }
 
-// Helper to safely execute commands with file paths
-async function execWithFile(command, args) {
+// Helper to safely execute commands with file paths.
+// With timeoutMs set, a command that runs too long is killed and rejects with code ETIMEDOUT.
+// A failed command rejects with its output on the error as `stderr`.
+async function execWithFile(command, args, { timeoutMs, cwd } = {}) {
   return new Promise((resolve, reject) => {
-    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'], cwd });
     let stdout = '';
     let stderr = '';
+    let settled = false;
+    
+    // Reject straight away on timeout: grandchildren may keep the pipes (and 'close') open
+    const timer = timeoutMs ? setTimeout(() => {
+      settled = true;
+      child.kill('SIGKILL');
+      const error = new Error(`Command timed out after ${timeoutMs / 1000}s: ${command}`);
+      error.code = 'ETIMEDOUT';
+      reject(error);
+    }, timeoutMs) : null;
     
     child.stdout.on('data', (data) => {
       stdout += data.toString();
@@ -39,17 +64,43 @@ async function execWithFile(command, args) {
     });
     
     child.on('close', (code) => {
+      if (timer) clearTimeout(timer);
+      if (settled) return;
       if (code === 0) {
         resolve({ stdout, stderr });
       } else {
-        reject(new Error(`Command failed with code ${code}: ${stderr}`));
+        const error = new Error(`Command failed with code ${code}: ${stderr}`);
+        error.stderr = stderr;
+        reject(error);
       }
     });
     
-    child.on('error', reject);
+    child.on('error', (error) => {
+      if (timer) clearTimeout(timer);
+      if (!settled) reject(error);
+    });
   });
 }
 
+// Runs fn over items with at most `limit` calls in flight.
+// Results come back in input order, regardless of completion order.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+  
+  const workers = [];
+  for (let w = 0; w < Math.min(limit, items.length); w++) workers.push(worker());
+  await Promise.all(workers);
+  return results;
+}
+
 // State - just the loaded AST data
 let astData = null;
 let repoPath = null;
@@ -57,24 +108,127 @@ let repoPath = null;
 const server = new McpServer({
   name: "swift-impact-analyzer",
   version: "3.0.0",
+}, {
+  capabilities: { resources: { subscribe: true, listChanged: true } },
 });
 
+// ============== HELPER: PROJECT CONFIG ==============
+
+const CONFIG_FILE_NAME = '.swift-impact.json';
+const DEFAULT_SKIP_DIRS = ['Pods', '.build', 'build', 'DerivedData', '.git', 'Carthage', 'node_modules'];
+const DEFAULT_OUTPUT_PATH = 'app.json';
+
+// .swift-impact.json: scan rules, tool paths and where the index is written.
+// Globs and relative paths are against the repo root.
+const projectConfigSchema = z.object({
+  include: z.array(z.string()).optional().describe("Globs of files to analyze (default: everything)."),
+  exclude: z.array(z.string()).optional().describe("Globs of files and folders to skip, on top of Pods, build, DerivedData, ..."),
+  extensions: z.object({
+    swift: z.array(z.string().regex(/^\.\w+$/, "must look like \".ext\"")).optional(),
+    objc: z.array(z.string().regex(/^\.\w+$/, "must look like \".ext\"")).optional(),
+  }).strict().optional().describe("Extra file extensions per language, e.g. { objc: [\".mm\"] }."),
+  tools: z.object({
+    sourcekitten: z.string().optional(),
+    clang: z.string().optional(),
+  }).strict().optional().describe("Paths to the sourcekitten and clang executables."),
+  output: z.object({
+    path: z.string().optional(),
+    persist: z.boolean().optional(),
+  }).strict().optional().describe("Where the index is written (default app.json in the repo) and whether to write it at all."),
+  clang: z.object({
+    compileCommands: z.string().optional(),
+    flags: z.array(z.string()).optional(),
+  }).strict().optional().describe("Default compileCommands and clangFlags for init_swift_repo."),
+}).strict();
+
+// The active configuration with defaults filled in; replaced on init and load
+let projectConfig = resolveProjectConfig({});
+
+function resolveProjectConfig(raw, file) {
+  return {
+    file,
+    include: raw.include || [],
+    exclude: raw.exclude || [],
+    extensions: {
+      swift: [...new Set(['.swift', ...raw.extensions?.swift || []])],
+      objc: [...new Set(['.m', '.h', ...raw.extensions?.objc || []])],
+    },
+    tools: { sourcekitten: raw.tools?.sourcekitten || 'sourcekitten', clang: raw.tools?.clang || 'clang' },
+    output: { path: raw.output?.path || DEFAULT_OUTPUT_PATH, persist: raw.output?.persist ?? true },
+    clang: { compileCommands: raw.clang?.compileCommands, flags: raw.clang?.flags || [] },
+  };
+}
+
+// "output.persist: Invalid input: expected boolean, received string" per problem
+function formatSchemaIssues(error) {
+  return error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`).join('\n');
+}
+
+// Reads the configuration from `source` (a config object, or a path to one relative to
+// the repo) or else from .swift-impact.json in the repo root. A missing default file means
+// defaults; a missing or invalid explicit one, or an invalid default one, throws.
+async function loadProjectConfig(root, source) {
+  let raw = {};
+  let file;
+  if (source && typeof source === 'object') {
+    raw = source;
+  } else {
+    file = source ? path.resolve(root, source) : path.join(root, CONFIG_FILE_NAME);
+    let text;
+    try {
+      text = await fs.readFile(file, 'utf-8');
+    } catch (error) {
+      if (!source && error.code === 'ENOENT') return resolveProjectConfig({});
+      throw new Error(`Cannot read config ${file}: ${error.message}`);
+    }
+    try {
+      raw = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Config ${file} is not valid JSON: ${error.message}`);
+    }
+  }
+  const parsed = projectConfigSchema.safeParse(raw);
+  if (!parsed.success) {
+    throw new Error(`Invalid config${file ? ` ${file}` : ''}:\n${formatSchemaIssues(parsed.error)}`);
+  }
+  // A tool given as a path (not a bare command name looked up on PATH) is relative to the repo
+  const tools = Object.fromEntries(Object.entries(parsed.data.tools || {})
+    .map(([tool, command]) => [tool, command.includes('/') ? path.resolve(root, command) : command]));
+  return resolveProjectConfig({ ...parsed.data, tools }, file);
+}
+
+// Absolute path the index is written to for the active configuration
+function outputPathFor(root, config = projectConfig) {
+  return path.resolve(root, config.output.path);
+}
+
+const isSwiftSource = (file, config = projectConfig) => config.extensions.swift.some(ext => file.endsWith(ext));
+
 // ============== HELPERS ==============
 
-async function findSourceFiles(dir) {
+// Swift and Objective-C files under dir, filtered by the active config's
+// include/exclude globs and extensions
+async function findSourceFiles(dir, config = projectConfig) {
   const sourceFiles = { swift: [], objc: [] };
-  const skip = ['Pods', '.build', 'build', 'DerivedData', '.git', 'Carthage', 'node_modules'];
+  const include = config.include.map(globToRegExp);
+  const exclude = config.exclude.map(globToRegExp);
+  const hasExtension = (name, language) => config.extensions[language].some(ext => name.endsWith(ext));
   
   async function scan(currentDir) {
     const entries = await fs.readdir(currentDir, { withFileTypes: true });
     for (const entry of entries) {
       const fullPath = path.join(currentDir, entry.name);
-      if (entry.isDirectory() && !skip.includes(entry.name)) {
-        await scan(fullPath);
+      const rel = path.relative(dir, fullPath).split(path.sep).join('/');
+      if (entry.isDirectory()) {
+        // "Generated/" and "**/Generated/**" both match the folder itself
+        if (!DEFAULT_SKIP_DIRS.includes(entry.name) && !exclude.some(re => re.test(`${rel}/`))) await scan(fullPath);
       } else if (entry.isFile()) {
-        if (entry.name.endsWith('.swift')) {
+        // The package manifest describes the build, it isn't part of any module
+        if (currentDir === dir && /^Package(@swift-[\d.]+)?\.swift$/.test(entry.name)) continue;
+        if (exclude.some(re => re.test(rel)) || (include.length > 0 && !include.some(re => re.test(rel)))) continue;
+        if (hasExtension(entry.name, 'swift')) {
           sourceFiles.swift.push(fullPath);
-        } else if (entry.name.endsWith('.m') || entry.name.endsWith('.h')) {
+        } else if (hasExtension(entry.name, 'objc')) {
           sourceFiles.objc.push(fullPath);
         }
       }
@@ -85,17 +239,30 @@ async function findSourceFiles(dir) {
   return sourceFiles;
 }
 
+// Type-like declaration kinds; nested declarations are qualified by their names.
+// Anchored so `decl.function.method.class` and `decl.enumelement` don't match.
+const SWIFT_TYPE_KIND = /\.decl\.(class|struct|enum|protocol|extension)(\.|$)/;
+
 function extractSymbols(ast, filePath) {
   const symbols = { classes: [], structs: [], protocols: [], functions: [], enums: [], extensions: [], variables: [] };
   
-  function walk(node) {
+  // scope: qualified name of the enclosing type, e.g. "Outer.Inner";
+  // inObjCMembers: the enclosing type is an @objcMembers class
+  function walk(node, scope, inObjCMembers) {
     if (!node) return;
     const kind = node['key.kind'];
     const name = node['key.name'];
+    let childScope = scope;
+    let childInObjCMembers = false;
     
     if (kind && name) {
+      const qualifiedName = scope ? `${scope}.${name}` : name;
+      const typeKind = SWIFT_TYPE_KIND.exec(kind)?.[1];
+      if (typeKind) childScope = qualifiedName;
+      
       const info = {
         name,
+        qualifiedName,
         kind,
         file: filePath,
         inheritedTypes: node['key.inheritedtypes']?.map(t => t['key.name']) || [],
@@ -103,231 +270,413 @@ function extractSymbols(ast, filePath) {
         typeName: node['key.typename'],
         offset: node['key.offset'],
         length: node['key.length'],
+        nameOffset: node['key.nameoffset'],
       };
+      const attributes = swiftAttributes(node);
+      if (attributes.length > 0) info.attributes = attributes;
+      const objcName = swiftObjCName(node, { inObjCMembers: inObjCMembers && !typeKind });
+      if (objcName) info.objcName = objcName;
+      if (typeKind === 'class') childInObjCMembers = hasObjCMembers(node);
       
-      if (kind.includes('class')) symbols.classes.push(info);
-      else if (kind.includes('struct')) symbols.structs.push(info);
-      else if (kind.includes('protocol')) symbols.protocols.push(info);
-      else if (kind.includes('enum')) symbols.enums.push(info);
-      else if (kind.includes('extension')) symbols.extensions.push({ ...info, extendedType: name });
+      if (typeKind === 'class') symbols.classes.push(info);
+      else if (typeKind === 'struct') symbols.structs.push(info);
+      else if (typeKind === 'protocol') symbols.protocols.push(info);
+      else if (typeKind === 'enum') symbols.enums.push(info);
+      else if (typeKind === 'extension') symbols.extensions.push({ ...info, extendedType: name, members: extractSwiftMembers(node) });
       else if (kind.includes('function') || kind.includes('method')) symbols.functions.push(info);
       else if (kind.includes('var')) symbols.variables.push(info);
     }
     
     for (const child of node['key.substructure'] || []) {
-      walk(child);
+      walk(child, childScope, childInObjCMembers);
     }
   }
   
-  walk(ast);
+  walk(ast, '', false);
   return symbols;
 }
 
-function extractMemberData(ast, symbols) {
+// Attribute and modifier names on a SourceKitten node: ['objc', 'optional', 'IBAction', ...]
+function swiftAttributes(node) {
+  return (node['key.attributes'] || []).map(a => a['key.attribute']?.replace('source.decl.attribute.', '')).filter(Boolean);
+}
+
+// Attributes that expose a Swift declaration to Objective-C (SourceKitten spells @objc(Name) `objc.name`)
+const SWIFT_OBJC_ATTRIBUTES = new Set(['objc', 'objc.name', 'ibaction', 'iboutlet', 'ibinspectable', 'ibsegueaction', 'nsmanaged']);
+
+const hasObjCMembers = (node) => swiftAttributes(node).some(a => a.toLowerCase() === 'objcmembers');
+
+// The argument of @objc(Name) isn't in SourceKitten's output: read it from the
+// source at the attribute's offset into key.objcname
+function fillSwiftObjCNames(node, source) {
+  for (const a of node['key.attributes'] || []) {
+    if (!a['key.attribute']?.startsWith('source.decl.attribute.objc') || a['key.offset'] === undefined) continue;
+    const text = source.subarray(a['key.offset'], a['key.offset'] + a['key.length']).toString('utf-8');
+    const objcName = /^@objc\s*\(\s*([^)]*?)\s*\)/.exec(text)?.[1];
+    if (objcName) node['key.objcname'] = objcName;
+  }
+  for (const child of node['key.substructure'] || []) fillSwiftObjCNames(child, source);
+}
+
+// Name a Swift declaration has in Objective-C, or undefined when it isn't exposed:
+// the @objc(Name) spelling, else its own name or, for functions, the default selector
+function swiftObjCName(node, { inObjCMembers = false } = {}) {
+  if (node['key.objcname']) return node['key.objcname'];
+  const attributes = swiftAttributes(node).map(a => a.toLowerCase());
+  if (attributes.includes('nonobjc')) return undefined;
+  if (!inObjCMembers && !attributes.some(a => SWIFT_OBJC_ATTRIBUTES.has(a))) return undefined;
+  const name = node['key.name'];
+  return (node['key.kind'] || '').includes('function') ? objcSelectorFor(name) : name;
+}
+
+// Selector Swift gives an @objc method: `fetchUser(withID:completion:)` -> `fetchUserWithID:completion:`,
+// `init(name:)` -> `initWithName:`, `reload()` -> `reload`, `load(_:)` -> `load:`
+function objcSelectorFor(swiftName) {
+  const match = /^([^(]+)\((.*)\)$/.exec(swiftName);
+  if (!match) return swiftName;
+  const [, base, labelList] = match;
+  const labels = labelList.split(':').slice(0, -1);
+  if (labels.length === 0) return base;
+  const capitalize = (word) => word[0].toUpperCase() + word.slice(1);
+  const [first, ...rest] = labels;
+  const head = first === '_' ? base : base === 'init' ? `initWith${capitalize(first)}` : base + capitalize(first);
+  return `${head}:${rest.map(label => `${label === '_' ? '' : label}:`).join('')}`;
+}
+
+// Swift name an Objective-C selector is imported as, splitting the first piece at its last
+// "With" (the importer's word pruning isn't reproduced): `fetchUserWithID:completion:` ->
+// `fetchUser(withID:completion:)`, `initWithName:` -> `init(name:)`, `reload` -> `reload()`
+function swiftNameForSelector(selector) {
+  if (!selector.includes(':')) return `${selector}()`;
+  const lowercase = (word) => word[0].toLowerCase() + word.slice(1);
+  const [first, ...rest] = selector.split(':').slice(0, -1);
+  let base = first, label = '_';
+  const init = /^init(?:With([A-Z]\w*))?$/.exec(first);
+  const preposition = /^(.+)(With[A-Z]\w*)$/.exec(first);
+  if (init) {
+    base = 'init';
+    if (init[1]) label = lowercase(init[1]);
+  } else if (preposition) {
+    [, base] = preposition;
+    label = lowercase(preposition[2]);
+  }
+  return `${base}(${[label, ...rest.map(piece => piece || '_')].map(l => `${l}:`).join('')})`;
+}
+
+// NS_SWIFT_NAME / swift_name spelling on a Clang declaration. The JSON AST keeps only
+// the attribute's location, so its argument is read from the source there.
+function clangSwiftName(node, source) {
+  const attr = (node.inner || []).find(child => child.kind === 'SwiftNameAttr');
+  const offset = clangOffset(attr?.range?.begin);
+  if (offset === undefined || !source) return undefined;
+  const text = source.subarray(offset, offset + 512).toString('utf-8');
+  const open = /^\w+\s*\(/.exec(text);
+  if (!open) return undefined;
+  return balancedContents(text, open[0].length - 1).trim().replace(/^"(.*)"$/, '$1') || undefined;
+}
+
+// Properties, methods and initializers declared directly in a type or extension body
+function extractSwiftMembers(node) {
+  const members = { properties: [], methods: [], initializers: [] };
+  const inObjCMembers = hasObjCMembers(node);
+  
+  for (const m of node['key.substructure'] || []) {
+    const memberKind = m['key.kind'] || '';
+    const memberName = m['key.name'] || '';
+    const type = m['key.typename'];
+    const access = m['key.accessibility']?.replace('source.lang.swift.accessibility.', '');
+    const attributes = swiftAttributes(m);
+    const extra = attributes.length > 0 ? { attributes } : {};
+    const objcName = swiftObjCName(m, { inObjCMembers });
+    if (objcName) extra.objcName = objcName;
+    
+    if (memberKind.includes('function') || memberKind.includes('method')) {
+      if (memberName.startsWith('init')) {
+        members.initializers.push({ name: memberName, access, ...extra });
+      } else {
+        members.methods.push({ name: memberName, returnType: type, access, ...extra });
+      }
+    } else if (memberKind.includes('var')) {
+      members.properties.push({ name: memberName, type, access, ...extra });
+    }
+  }
+  
+  return members;
+}
+
+// Members declared in each type body, keyed by the type's qualified name
+function extractMemberData(ast) {
   const memberData = {};
   
-  function findAndExtractMembers(node, symbolName) {
-    if (!node) return null;
+  function walk(node, scope) {
+    if (!node) return;
     const kind = node['key.kind'];
     const name = node['key.name'];
+    let childScope = scope;
     
-    // Check if this node matches any of our symbols
-    if (kind && name && symbolName === name) {
-      const members = { properties: [], methods: [], initializers: [] };
-      
-      for (const m of node['key.substructure'] || []) {
-        const memberKind = m['key.kind'] || '';
-        const memberName = m['key.name'] || '';
-        const type = m['key.typename'];
-        const access = m['key.accessibility']?.replace('source.lang.swift.accessibility.', '');
-        
-        if (memberKind.includes('function') || memberKind.includes('method')) {
-          if (memberName.startsWith('init')) {
-            members.initializers.push({ name: memberName, access });
-          } else {
-            members.methods.push({ name: memberName, returnType: type, access });
-          }
-        } else if (memberKind.includes('var')) {
-          members.properties.push({ name: memberName, type, access });
-        }
-      }
-      
-      return members;
+    const typeKind = kind && name ? SWIFT_TYPE_KIND.exec(kind)?.[1] : null;
+    if (typeKind) {
+      childScope = scope ? `${scope}.${name}` : name;
+      if (typeKind !== 'extension') memberData[childScope] = extractSwiftMembers(node);
     }
     
-    // Recursively search children
     for (const child of node['key.substructure'] || []) {
-      const result = findAndExtractMembers(child, symbolName);
-      if (result) return result;
+      walk(child, childScope);
     }
-    
-    return null;
   }
   
-  // Extract members for all symbols
-  const allSymbols = [
-    ...symbols.classes,
-    ...symbols.structs,
-    ...symbols.protocols,
-    ...symbols.enums
-  ];
-  
-  for (const symbol of allSymbols) {
-    const members = findAndExtractMembers(ast, symbol.name);
-    if (members) {
-      memberData[symbol.name] = members;
+  walk(ast, '');
+  return memberData;
+}
+
+// Methods, initializers, properties and ivars declared in an @interface, category or @implementation.
+// Accessors Clang synthesizes for @property and ivars it synthesizes for them are implicit and skipped.
+// With the header's `source`, methods and properties get the `swiftName` Swift sees them as.
+function extractObjCMembers(node, access, source) {
+  const members = { properties: [], methods: [], initializers: [] };
+  for (const child of node.inner || []) {
+    if (child.isImplicit) continue;
+    if (child.kind === 'ObjCMethodDecl' && child.name) {
+      const methodInfo = {
+        name: child.name,
+        returnType: child.returnType?.qualType,
+        access,
+      };
+      if (source) methodInfo.swiftName = clangSwiftName(child, source) || swiftNameForSelector(child.name);
+      // Objective-C initializers are methods that start with 'init' (init, initWith..., etc.)
+      // but only if they return 'instancetype' or the class type (id in parsed form)
+      if (child.name === 'init' || child.name.startsWith('initWith')) {
+        members.initializers.push(methodInfo);
+      } else {
+        members.methods.push(methodInfo);
+      }
+    } else if (child.kind === 'ObjCPropertyDecl' && child.name) {
+      members.properties.push({
+        name: child.name,
+        type: child.type?.qualType,
+        access,
+        ...(source ? { swiftName: clangSwiftName(child, source) || child.name } : {}),
+      });
+    } else if (child.kind === 'ObjCIvarDecl' && child.name) {
+      members.properties.push({
+        name: child.name,
+        type: child.type?.qualType,
+        access: child.access || access,
+        attributes: ['ivar'],
+      });
     }
   }
-  
-  return memberData;
+  return members;
+}
+
+// Offset of a Clang location; macro-expanded declarations (NS_ENUM, NS_OPTIONS) use the expansion site
+function clangOffset(loc) {
+  return loc?.expansionLoc?.offset ?? loc?.offset;
+}
+
+// Clang's JSON AST names a location's file only when it differs from the location printed
+// before it, so the file has to be followed in document order. The returned function is
+// called on every node in that order and gives the file of the node's own location.
+function createClangFileTracker() {
+  let current;
+  const visit = loc => {
+    if (!loc) return;
+    for (const part of loc.spellingLoc || loc.expansionLoc ? [loc.spellingLoc, loc.expansionLoc] : [loc]) {
+      if (part?.file) current = part.file;
+    }
+  };
+  return node => {
+    visit(node.loc);
+    const file = current;
+    visit(node.range?.begin);
+    visit(node.range?.end);
+    return file;
+  };
+}
+
+// Return type of a C function from its type, e.g. "NSString *" from "NSString *(NSInteger, BOOL)"
+function cReturnType(qualType) {
+  if (!qualType?.endsWith(')')) return qualType;
+  let depth = 0;
+  for (let i = qualType.length - 1; i >= 0; i--) {
+    if (qualType[i] === ')') depth++;
+    else if (qualType[i] === '(' && --depth === 0) return qualType.slice(0, i).trim();
+  }
+  return qualType;
+}
+
+// Whether a type node refers to the declaration with `id`, e.g. a typedef of an anonymous struct
+function referencesClangDecl(node, id) {
+  if (node?.decl?.id === id || node?.ownedTagDecl?.id === id) return true;
+  return (node?.inner || []).some(child => referencesClangDecl(child, id));
 }
 
-function extractObjCSymbols(ast, filePath) {
+// `source` is the file's content, read for NS_SWIFT_NAME spellings
+function extractObjCSymbols(ast, filePath, source) {
   const symbols = { classes: [], structs: [], protocols: [], functions: [], enums: [], extensions: [], variables: [] };
   const memberData = {};
+  const accessibility = filePath.endsWith('.h') ? 'public' : 'internal';
+  // Only header declarations can be imported into Swift, so only they get a swiftName
+  const headerSource = filePath.endsWith('.h') ? source : undefined;
+  // Every project header is parsed on its own, so only declarations located in this file are
+  // recorded; the ones #imported from the SDK, Pods or other headers are skipped
+  const fileOf = createClangFileTracker();
+  const inThisFile = file => file === undefined || path.resolve(file) === filePath;
+  // Method names each class declares in any @interface, category or class extension seen so
+  // far, including #imported ones, so an @implementation only adds the methods it alone has
+  const declaredMethods = new Map();
+  // Names of anonymous enums and structs given by the typedef that follows them
+  const typedefNames = new Map();
+  
+  const baseInfo = (node, name, kind) => ({
+    name,
+    qualifiedName: name,
+    kind: `source.lang.objc.decl.${kind}`,
+    file: filePath,
+    inheritedTypes: [],
+    accessibility,
+    offset: clangOffset(node.loc),
+    length: calculateRangeLength(node.range),
+    ...(headerSource && kind !== 'extension' ? { swiftName: clangSwiftName(node, headerSource) || name } : {}),
+  });
+  const protocolNames = node => (node.protocols || []).map(protocol => protocol.name).filter(Boolean);
+  const noteDeclared = (className, members) => {
+    if (!declaredMethods.has(className)) declaredMethods.set(className, new Set());
+    const names = declaredMethods.get(className);
+    for (const m of [...members.methods, ...members.initializers]) names.add(m.name);
+  };
   
   function walk(node) {
     if (!node) return;
     const kind = node.kind;
     const name = node.name;
+    const file = fileOf(node);
+    const record = !node.isImplicit && inThisFile(file);
     
     // Handle Objective-C classes
     if (kind === 'ObjCInterfaceDecl' && name && !node.isImplicit) {
-      const info = {
-        name,
-        kind: 'source.lang.objc.decl.class',
-        file: filePath,
-        inheritedTypes: [],
-        accessibility: filePath.endsWith('.h') ? 'public' : 'internal',
-        offset: node.loc?.offset,
-        length: calculateRangeLength(node.range),
-      };
-      
-      // Extract superclass (if present)
-      // Note: Clang uses '0x0' to indicate a null pointer, meaning no superclass exists
-      if (node.super && node.super.id !== CLANG_NULL_POINTER) {
-        const superName = node.super.name;
-        if (superName) {
-          info.inheritedTypes.push(superName);
-        }
-      }
-      
-      // Extract protocols
-      if (node.protocols) {
-        for (const protocol of node.protocols) {
-          if (protocol.name) {
-            info.inheritedTypes.push(protocol.name);
-          }
-        }
-      }
-      
-      symbols.classes.push(info);
-      
-      // Extract members
-      const members = { properties: [], methods: [], initializers: [] };
-      for (const child of node.inner || []) {
-        if (child.kind === 'ObjCMethodDecl' && child.name) {
-          const methodInfo = {
-            name: child.name,
-            returnType: child.returnType?.qualType,
-            access: info.accessibility,
-          };
-          // Objective-C initializers are methods that start with 'init' (init, initWith..., etc.)
-          // but only if they return 'instancetype' or the class type (id in parsed form)
-          if (child.name === 'init' || child.name.startsWith('initWith')) {
-            members.initializers.push(methodInfo);
-          } else {
-            members.methods.push(methodInfo);
-          }
-        } else if (child.kind === 'ObjCPropertyDecl' && child.name) {
-          members.properties.push({
-            name: child.name,
-            type: child.type?.qualType,
-            access: info.accessibility,
-          });
+      const members = extractObjCMembers(node, accessibility, headerSource);
+      noteDeclared(name, members);
+      if (record) {
+        const info = baseInfo(node, name, 'class');
+        // Extract superclass (if present)
+        // Note: Clang uses '0x0' to indicate a null pointer, meaning no superclass exists
+        if (node.super && node.super.id !== CLANG_NULL_POINTER && node.super.name) {
+          info.inheritedTypes.push(node.super.name);
         }
+        info.inheritedTypes.push(...protocolNames(node));
+        symbols.classes.push(info);
+        memberData[name] = members;
       }
-      memberData[name] = members;
     }
     
     // Handle Objective-C protocols
-    if (kind === 'ObjCProtocolDecl' && name && !node.isImplicit) {
-      const info = {
-        name,
-        kind: 'source.lang.objc.decl.protocol',
-        file: filePath,
-        inheritedTypes: [],
-        accessibility: filePath.endsWith('.h') ? 'public' : 'internal',
-        offset: node.loc?.offset,
-        length: calculateRangeLength(node.range),
-      };
-      
-      // Extract inherited protocols
-      if (node.protocols) {
-        for (const protocol of node.protocols) {
-          if (protocol.name) {
-            info.inheritedTypes.push(protocol.name);
-          }
-        }
-      }
-      
+    if (kind === 'ObjCProtocolDecl' && name && record) {
+      const info = baseInfo(node, name, 'protocol');
+      info.inheritedTypes.push(...protocolNames(node));
       symbols.protocols.push(info);
       
-      // Extract methods from protocol
+      // Extract methods from protocol; Clang marks @optional requirements with control: "optional"
       const members = { properties: [], methods: [], initializers: [] };
       for (const child of node.inner || []) {
+        if (child.isImplicit) continue;
+        const extra = child.control === 'optional' ? { attributes: ['optional'] } : {};
         if (child.kind === 'ObjCMethodDecl' && child.name) {
           members.methods.push({
             name: child.name,
             returnType: child.returnType?.qualType,
             access: info.accessibility,
+            ...(headerSource ? { swiftName: clangSwiftName(child, headerSource) || swiftNameForSelector(child.name) } : {}),
+            ...extra,
           });
         } else if (child.kind === 'ObjCPropertyDecl' && child.name) {
           members.properties.push({
             name: child.name,
             type: child.type?.qualType,
             access: info.accessibility,
+            ...(headerSource ? { swiftName: clangSwiftName(child, headerSource) || child.name } : {}),
+            ...extra,
           });
         }
       }
       memberData[name] = members;
     }
     
-    // Handle Objective-C categories
-    if (kind === 'ObjCCategoryDecl' && name && !node.isImplicit) {
-      // Categories should always have an interface, but handle gracefully if missing
-      const interfaceName = node.interface?.name;
-      if (!interfaceName) {
-        // Skip categories without a valid interface as they're malformed
-        return;
+    // Handle Objective-C categories and class extensions (`@interface User ()`, which has no name).
+    // Categories without an interface are malformed and skipped.
+    const interfaceName = node.interface?.name;
+    if (kind === 'ObjCCategoryDecl' && interfaceName && !node.isImplicit) {
+      const members = extractObjCMembers(node, accessibility, headerSource);
+      noteDeclared(interfaceName, members);
+      if (record) {
+        const categoryName = `${interfaceName}(${name || ''})`;
+        const info = { ...baseInfo(node, categoryName, 'extension'), extendedType: interfaceName };
+        info.inheritedTypes.push(...protocolNames(node));
+        info.members = members;
+        symbols.extensions.push(info);
       }
-      
-      const categoryName = `${interfaceName}(${name})`;
-      const info = {
-        name: categoryName,
-        kind: 'source.lang.objc.decl.extension',
-        file: filePath,
-        inheritedTypes: [],
-        accessibility: filePath.endsWith('.h') ? 'public' : 'internal',
-        offset: node.loc?.offset,
-        length: calculateRangeLength(node.range),
-        extendedType: interfaceName,
-      };
-      
-      // Extract protocols adopted by category
-      if (node.protocols) {
-        for (const protocol of node.protocols) {
-          if (protocol.name) {
-            info.inheritedTypes.push(protocol.name);
-          }
-        }
+    }
+    
+    // Handle @implementation: recorded as an extension of the class holding the methods and
+    // ivars no @interface declares, so explain_symbol and conformance checks see them
+    if (kind === 'ObjCImplementationDecl' && name && record) {
+      const declared = declaredMethods.get(name) || new Set();
+      const members = extractObjCMembers(node, 'private');
+      members.methods = members.methods.filter(m => !declared.has(m.name));
+      members.initializers = members.initializers.filter(m => !declared.has(m.name));
+      if (Object.values(members).some(list => list.length > 0)) {
+        symbols.extensions.push({ ...baseInfo(node, name, 'extension'), extendedType: name, members });
       }
-      
-      symbols.extensions.push(info);
     }
     
-    // Recursively process children
-    for (const child of node.inner || []) {
+    // Handle C functions; a definition whose prototype came earlier (usually from the header) is the same symbol
+    if (kind === 'FunctionDecl' && name && record && !node.previousDecl) {
+      const info = baseInfo(node, name, 'function');
+      if (node.storageClass === 'static') info.accessibility = 'private';
+      info.typeName = cReturnType(node.type?.qualType);
+      symbols.functions.push(info);
+    }
+    
+    // Handle enums, including NS_ENUM/NS_OPTIONS (which Clang sees as an enum with a fixed
+    // underlying type) and `typedef enum { ... } Name`; only the definition is recorded
+    const enumName = name || typedefNames.get(node.id);
+    const constants = kind === 'EnumDecl' ? (node.inner || []).filter(child => child.kind === 'EnumConstantDecl' && child.name) : [];
+    if (kind === 'EnumDecl' && enumName && record && constants.length > 0) {
+      const info = baseInfo(node, enumName, 'enum');
+      if (node.fixedUnderlyingType?.qualType) info.inheritedTypes.push(node.fixedUnderlyingType.qualType);
+      if ((node.inner || []).some(child => child.kind === 'FlagEnumAttr')) info.attributes = ['options'];
+      symbols.enums.push(info);
+      memberData[enumName] = {
+        properties: constants.map(c => ({ name: c.name, type: enumName, access: accessibility, attributes: ['case'] })),
+        methods: [],
+        initializers: [],
+      };
+    }
+    
+    // Handle C structs, named or through `typedef struct { ... } Name`; fields become properties
+    const structName = name || typedefNames.get(node.id);
+    if (kind === 'RecordDecl' && node.tagUsed === 'struct' && node.completeDefinition && structName && record) {
+      symbols.structs.push(baseInfo(node, structName, 'struct'));
+      memberData[structName] = {
+        properties: (node.inner || [])
+          .filter(child => child.kind === 'FieldDecl' && child.name)
+          .map(child => ({ name: child.name, type: child.type?.qualType, access: accessibility })),
+        methods: [],
+        initializers: [],
+      };
+    }
+    
+    const children = node.inner || [];
+    children.forEach((child, i) => {
+      const next = children[i + 1];
+      if ((child.kind === 'EnumDecl' || child.kind === 'RecordDecl') && !child.name &&
+          next?.kind === 'TypedefDecl' && next.name && referencesClangDecl(next, child.id)) {
+        typedefNames.set(child.id, next.name);
+      }
+    });
+    
+    // Recursively process children; every node is visited so file tracking stays in step
+    for (const child of children) {
       walk(child);
     }
   }
@@ -336,8 +685,8 @@ function extractObjCSymbols(ast, filePath) {
   return { symbols, memberData };
 }
 
-function getRelativePath(fullPath) {
-  return repoPath ? fullPath.replace(repoPath + '/', '') : fullPath;
+function getRelativePath(fullPath, root = repoPath) {
+  return root ? fullPath.replace(root + '/', '') : fullPath;
 }
 
 // Helper to get plural form of symbol kind
@@ -349,36 +698,104 @@ const kindToPlural = {
   'function': 'functions'
 };
 
-function findSymbol(symbolName) {
-  if (!astData) return null;
-  
-  // Use index for O(1) lookup instead of O(n) search
-  const indexMatches = astData.indexes?.byName?.[symbolName];
-  if (indexMatches && indexMatches.length > 0) {
-    const match = indexMatches[0];
-    const fullPath = path.join(repoPath, match.file);
-    const fileData = astData.files?.[fullPath];
-    if (fileData) {
-      const pluralKind = kindToPlural[match.kind] || `${match.kind}s`;
-      const symbolList = fileData.symbols?.[pluralKind];
-      if (symbolList) {
-        const symbol = symbolList.find(s => s.name === symbolName);
-        if (symbol) {
-          return { ...symbol, file: match.file, symbolKind: match.kind };
-        }
+// Every declaration a symbol query can mean. Accepted forms: `Name`, nested
+// `Outer.Inner`, module/target-qualified `Feature.Coordinator` and
+// file-qualified `Name@path/File.swift` (any trailing part of the path).
+// A query matching some declarations exactly ignores the nested ones it
+// only suffix-matches, so `State` prefers a top-level State over `Outer.State`.
+// A name nothing is declared as is tried in the other language's spelling
+// (`fetchUserWithID:completion:` for `fetchUser(withID:completion:)`).
+function findSymbolCandidates(query, { bridge = true } = {}) {
+  if (!astData) return [];
+
+  const [namePart, qualifier = ''] = query.split('@');
+  const [fileQualifier, kindQualifier] = qualifier.split('#');
+  // Split on dots before any parameter list; operators like `..<` stay whole
+  const paren = namePart.indexOf('(');
+  const head = paren === -1 ? namePart : namePart.slice(0, paren);
+  let parts = head.split('.');
+  if (parts.some(p => p === '')) parts = [head];
+  parts[parts.length - 1] += namePart.slice(head.length);
+  const simpleName = parts[parts.length - 1];
+
+  const candidates = [];
+  const seen = new Set();
+  for (const loc of astData.indexes?.byName?.[simpleName] || []) {
+    if (seen.has(`${loc.file}|${loc.kind}`)) continue;
+    seen.add(`${loc.file}|${loc.kind}`);
+    if (fileQualifier && loc.file !== fileQualifier && !loc.file.endsWith('/' + fileQualifier)) continue;
+    if (kindQualifier && loc.kind !== kindQualifier) continue;
+
+    const fileData = astData.files?.[path.join(repoPath, loc.file)];
+    for (const s of fileData?.symbols?.[kindToPlural[loc.kind] || `${loc.kind}s`] || []) {
+      if (s.name !== simpleName) continue;
+      const qualifiedName = s.qualifiedName || s.name;
+      const matches = (wanted) => qualifiedName === wanted || qualifiedName.endsWith('.' + wanted);
+
+      let exact = false;
+      if (matches(parts.join('.'))) {
+        exact = qualifiedName === parts.join('.');
+      } else if (parts.length > 1 && unitsOf(fileData).includes(parts[0]) && matches(parts.slice(1).join('.'))) {
+        exact = qualifiedName === parts.slice(1).join('.');
+      } else {
+        continue;
       }
+      candidates.push({ ...s, file: loc.file, symbolKind: loc.kind, exact });
     }
   }
-  
-  // Fallback to type map
+
+  // Objective-C declarations repeated through #import are one symbol: keep the canonical one
+  const typeMap = astData.dependencyGraph?.typeMap || {};
+  const unique = candidates.filter(c => {
+    const canonical = c.key && c.symbolKind !== 'function' ? typeMap[c.key] : null;
+    return !canonical || canonical.file === c.file || !candidates.some(o => o.key === c.key && o.file === canonical.file);
+  });
+  if (unique.length === 0 && bridge) {
+    return bridgedNames(query).flatMap(name => findSymbolCandidates(name, { bridge: false }));
+  }
+  const exact = unique.filter(c => c.exact);
+  return (exact.length > 0 ? exact : unique).map(({ exact: _exact, ...c }) => c);
+}
+
+// The declaration a query unambiguously names, or null. When several match,
+// the first is returned; callers that must not guess use findSymbolCandidates.
+function findSymbol(symbolName) {
+  if (!astData) return null;
+
+  const candidates = findSymbolCandidates(symbolName);
+  if (candidates.length > 0) return candidates[0];
+
+  // Fallback to type map keys ("Login.Coordinator", "State@Sources/A.swift")
   const typeInfo = astData.dependencyGraph?.typeMap?.[symbolName];
   if (typeInfo) {
     return { ...typeInfo.symbol, file: typeInfo.file, symbolKind: typeInfo.kind };
   }
-  
+
   return null;
 }
 
+// How to ask for one candidate unambiguously: its type key, else its
+// qualified name, file-qualified when that is shared with another candidate
+function candidateQuery(candidate, candidates) {
+  if (candidate.key && candidate.symbolKind !== 'function') return candidate.key;
+  const name = candidate.qualifiedName || candidate.name;
+  const shared = candidates.filter(c => (c.qualifiedName || c.name) === name).length > 1;
+  return shared ? `${name}@${candidate.file}` : name;
+}
+
+// Response listing the declarations an ambiguous name could mean
+function formatAmbiguous(symbolName, candidates) {
+  let r = `❓ "${symbolName}" is ambiguous (${candidates.length} matches)\n${'━'.repeat(40)}\n\n`;
+  for (const c of candidates.slice(0, 20)) {
+    const units = unitsOf(astData.files?.[path.join(repoPath, c.file)]);
+    r += `• ${c.qualifiedName || c.name} (${c.symbolKind}) in ${c.file}${units.length > 0 ? ` [${units.join(', ')}]` : ''}\n`;
+    r += `  └─ "${candidateQuery(c, candidates)}"\n`;
+  }
+  if (candidates.length > 20) r += `\n... +${candidates.length - 20} more\n`;
+  r += `\nAsk again with one of the quoted names.`;
+  return r;
+}
+
 // ============== HELPER: DETECT PROJECT TYPE ==============
 
 async function detectProjectType(projectPath) {
@@ -386,12 +803,15 @@ async function detectProjectType(projectPath) {
   
   let xcworkspace = null;
   let xcodeproj = null;
+  let packageManifest = null;
   
   for (const entry of entries) {
     if (entry.name.endsWith('.xcworkspace') && entry.isDirectory()) {
       xcworkspace = path.join(projectPath, entry.name);
     } else if (entry.name.endsWith('.xcodeproj') && entry.isDirectory()) {
       xcodeproj = path.join(projectPath, entry.name);
+    } else if (entry.name === 'Package.swift' && entry.isFile()) {
+      packageManifest = path.join(projectPath, entry.name);
     }
   }
   
@@ -402,528 +822,5005 @@ async function detectProjectType(projectPath) {
   if (xcodeproj) {
     return { type: 'xcodeproj', path: xcodeproj, name: path.basename(xcodeproj, '.xcodeproj') };
   }
+  // Swift Package Manager-only project
+  if (packageManifest) {
+    return { type: 'spm', path: packageManifest, name: path.basename(projectPath) };
+  }
   
   return null;
 }
 
-// ============== TOOL 1: INIT ==============
+// ============== HELPER: SWIFT PACKAGE MANIFEST ==============
 
-server.registerTool(
-  "init_swift_repo",
-  {
-    title: "Initialize Swift Repository",
-    description: "Scans a Swift/iOS project and generates AST using SourceKitten and Clang. Processes both Swift and Objective-C files. Requires .xcodeproj or .xcworkspace. Run this first.",
-    inputSchema: {
-      repoPath: z.string().describe("Absolute path to the Swift/iOS project folder."),
-    },
-  },
-  async ({ repoPath: inputPath }) => {
-    try {
-      // Validate directory
-      const stats = await fs.stat(inputPath);
-      if (!stats.isDirectory()) {
-        return { content: [{ type: "text", text: `❌ "${inputPath}" is not a directory.` }] };
-      }
-      
-      // Check for iOS project (xcodeproj or xcworkspace)
-      const projectInfo = await detectProjectType(inputPath);
-      if (!projectInfo) {
-        return { content: [{ type: "text", text: `❌ Not an iOS/Swift project.
+const SPM_TARGET_KINDS = ['target', 'executableTarget', 'testTarget', 'macro', 'plugin', 'systemLibrary', 'binaryTarget'];
+// Where SwiftPM looks for a target's sources when the manifest gives no `path:`
+const SPM_SOURCE_ROOTS = ['Sources', 'Source', 'src', 'srcs'];
 
-No .xcodeproj or .xcworkspace found in:
-${inputPath}
+// Contents between the bracket at openIndex and its match, skipping string literals
+function balancedContents(text, openIndex) {
+  let depth = 0;
+  for (let i = openIndex; i < text.length; i++) {
+    const c = text[i];
+    if (c === '"') {
+      i++;
+      while (i < text.length && text[i] !== '"') i += text[i] === '\\' ? 2 : 1;
+    } else if (c === '(' || c === '[' || c === '{') {
+      depth++;
+    } else if (c === ')' || c === ']' || c === '}') {
+      depth--;
+      if (depth === 0) return text.slice(openIndex + 1, i);
+    }
+  }
+  return text.slice(openIndex + 1);
+}
 
-This tool only works with iOS/macOS Xcode projects.
-Aborting analysis.` }] };
-      }
-      
-      // Check sourcekitten
-      try {
-        await execWithFile('which', ['sourcekitten']);
-      } catch {
-        return { content: [{ type: "text", text: `❌ SourceKitten not found. Install: brew install sourcekitten` }] };
-      }
-      
-      // Check clang
-      let clangAvailable = true;
-      try {
-        await execWithFile('which', ['clang']);
-      } catch {
-        clangAvailable = false;
-      }
-      
-      repoPath = inputPath;
-      const sourceFiles = await findSourceFiles(repoPath);
-      
-      if (sourceFiles.swift.length === 0 && sourceFiles.objc.length === 0) {
-        return { content: [{ type: "text", text: `❌ No Swift or Objective-C files found in iOS project.
+// Splits an argument or array list on commas that aren't nested or inside strings
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0, start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (c === '"') {
+      i++;
+      while (i < text.length && text[i] !== '"') i += text[i] === '\\' ? 2 : 1;
+    } else if (c === '(' || c === '[' || c === '{') {
+      depth++;
+    } else if (c === ')' || c === ']' || c === '}') {
+      depth--;
+    } else if (c === ',' && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts.map(p => p.trim()).filter(Boolean);
+}
 
-Project: ${projectInfo.name} (${projectInfo.type})
-Path: ${projectInfo.path}
+// Value of a top-level `label: "..."` argument in an argument list, or null
+function stringArgument(args, label) {
+  for (const part of splitTopLevel(args)) {
+    const m = new RegExp(`^${label}\\s*:\\s*"([^"]*)"`).exec(part);
+    if (m) return m[1];
+  }
+  return null;
+}
 
-The project exists but contains no .swift, .m, or .h files.
-Aborting analysis.` }] };
-      }
-      
-      // Generate AST for each file
-      const files = {};
-      let swiftProcessed = 0, swiftErrors = 0;
-      let objcProcessed = 0, objcErrors = 0;
-      
-      // Process Swift files
-      for (const file of sourceFiles.swift) {
+// Contents of a top-level `label: [ ... ]` array argument in an argument list, or null
+function arrayArgument(args, label) {
+  for (const part of splitTopLevel(args)) {
+    const m = new RegExp(`^${label}\\s*:\\s*\\[`).exec(part);
+    if (m) return balancedContents(part, m[0].length - 1);
+  }
+  return null;
+}
+
+// Reads targets, their source directories and declared dependencies from Package.swift.
+// The manifest is Swift code; this understands the declarative subset nearly every package uses.
+async function readPackageManifest(projectPath) {
+  let source;
+  try {
+    source = await fs.readFile(path.join(projectPath, 'Package.swift'), 'utf-8');
+  } catch {
+    return null;
+  }
+
+  // Re-join the tokens to drop comments while keeping string literals intact
+  const text = tokenizeSwift(source).map(t => source.slice(t.start, t.end)).join(' ');
+  const packageCall = /\bPackage\s*\(/.exec(text);
+  if (!packageCall) return null;
+  const packageArgs = balancedContents(text, packageCall.index + packageCall[0].length - 1);
+  const packageName = stringArgument(packageArgs, 'name') || path.basename(projectPath);
+
+  const targetsArray = arrayArgument(packageArgs, 'targets');
+  const declared = [];
+  for (const element of splitTopLevel(targetsArray || '')) {
+    const m = new RegExp(`^\\.\\s*(${SPM_TARGET_KINDS.join('|')})\\s*\\(`).exec(element);
+    if (!m) continue;
+    const args = balancedContents(element, m[0].length - 1);
+    const name = stringArgument(args, 'name');
+    if (!name) continue;
+
+    const dependencies = [];
+    for (const dep of splitTopLevel(arrayArgument(args, 'dependencies') || '')) {
+      const depName = /^"([^"]*)"/.exec(dep)?.[1] || /name\s*:\s*"([^"]*)"/.exec(dep)?.[1];
+      if (depName) dependencies.push({ name: depName, product: /^\.\s*product\b/.test(dep) });
+    }
+
+    declared.push({ name, kind: m[1], path: stringArgument(args, 'path'), dependencies });
+  }
+
+  const targets = [];
+  const targetNames = new Set(declared.map(t => t.name));
+  for (const t of declared) {
+    let targetPath = t.path;
+    if (!targetPath) {
+      const roots = t.kind === 'testTarget' ? ['Tests'] : SPM_SOURCE_ROOTS;
+      targetPath = `${roots[0]}/${t.name}`;
+      for (const root of roots) {
         try {
-          const { stdout } = await execWithFile('sourcekitten', ['structure', '--file', file]);
-          const ast = JSON.parse(stdout);
-          const symbols = extractSymbols(ast, file);
-          const memberData = extractMemberData(ast, symbols);
-          files[file] = { symbols, memberData, language: 'swift' };
-          swiftProcessed++;
-        } catch {
-          swiftErrors++;
-        }
-      }
-      
-      // Process Objective-C files
-      if (clangAvailable && sourceFiles.objc.length > 0) {
-        for (const file of sourceFiles.objc) {
-          try {
-            // Use clang to generate AST, use -x objective-c to force Objective-C mode
-            const { stdout } = await execWithFile('clang', [...CLANG_AST_ARGS, file]);
-            const ast = JSON.parse(stdout);
-            const { symbols, memberData } = extractObjCSymbols(ast, file);
-            files[file] = { symbols, memberData, language: 'objc' };
-            objcProcessed++;
-          } catch (error) {
-            objcErrors++;
+          if ((await fs.stat(path.join(projectPath, root, t.name))).isDirectory()) {
+            targetPath = `${root}/${t.name}`;
+            break;
           }
+        } catch {
+          // try the next conventional root
         }
-      } else if (!clangAvailable && sourceFiles.objc.length > 0) {
-        // Clang not available, skip Objective-C files
-        objcErrors = sourceFiles.objc.length;
+      }
+    }
+
+    targets.push({
+      name: t.name,
+      kind: t.kind,
+      path: targetPath.replace(/\/+$/, ''),
+      // Plain-string dependencies may name a target or a product from another package
+      dependencies: t.dependencies.filter(d => !d.product && targetNames.has(d.name)).map(d => d.name),
+      products: t.dependencies.filter(d => d.product || !targetNames.has(d.name)).map(d => d.name),
+    });
+  }
+
+  return { name: packageName, targets };
+}
+
+// The package target owning a file (by longest source-path prefix), or null
+function moduleForFile(rel, packageInfo) {
+  let best = null;
+  for (const target of packageInfo?.targets || []) {
+    if ((rel === target.path || rel.startsWith(target.path + '/')) && (!best || target.path.length > best.path.length)) {
+      best = target;
+    }
+  }
+  return best?.name || null;
+}
+
+// Tags each parsed file, and every symbol in it, with its owning module
+function assignModules(files, packageInfo) {
+  for (const [filePath, fileData] of Object.entries(files)) {
+    const module = moduleForFile(getRelativePath(filePath), packageInfo);
+    if (module) fileData.module = module;
+    else delete fileData.module;
+    for (const list of Object.values(fileData.symbols)) {
+      for (const s of list) {
+        if (module) s.module = module;
+        else delete s.module;
+      }
+    }
+  }
+}
+
+// Module -> { module: count } dependencies observed in the index:
+// dependency edges plus references to types declared in another module
+function observedModuleDependencies() {
+  const moduleOfFile = {};
+  for (const [filePath, fileData] of Object.entries(astData.files || {})) {
+    if (fileData.module) moduleOfFile[getRelativePath(filePath)] = fileData.module;
+  }
+
+  const deps = {};
+  const add = (fromFile, toFile) => {
+    const from = moduleOfFile[fromFile], to = moduleOfFile[toFile];
+    if (!from || !to || from === to) return;
+    if (!deps[from]) deps[from] = {};
+    deps[from][to] = (deps[from][to] || 0) + 1;
+  };
+
+  for (const edge of astData.dependencyGraph?.edges || []) add(edge.from, edge.to);
+
+  // A bare name resolves to the declaration in the referencing file's own module first
+  const lookup = typeLookup(astData.dependencyGraph?.typeMap || {}, astData.files || {});
+  for (const [name, refs] of Object.entries(astData.indexes?.references || {})) {
+    if (!lookup.keysByName.has(name)) continue;
+    for (const ref of refs) {
+      if (ref.isDeclaration) continue;
+      const key = resolveTypeKey(name, { rel: ref.file, fileData: lookup.fileDataOf(ref.file) }, lookup);
+      add(ref.file, lookup.typeMap[key].file);
+    }
+  }
+
+  return deps;
+}
+
+// ============== HELPER: XCODE PROJECT ==============
+
+// Short labels for the PBXNativeTarget productType values we care about
+const XCODE_PRODUCT_KINDS = {
+  'com.apple.product-type.application': 'app',
+  'com.apple.product-type.application.on-demand-install-capable': 'app clip',
+  'com.apple.product-type.app-extension': 'extension',
+  'com.apple.product-type.extensionkit-extension': 'extension',
+  'com.apple.product-type.watchkit2-extension': 'extension',
+  'com.apple.product-type.bundle.unit-test': 'unit tests',
+  'com.apple.product-type.bundle.ui-testing': 'UI tests',
+  'com.apple.product-type.framework': 'framework',
+  'com.apple.product-type.library.static': 'static library',
+  'com.apple.product-type.library.dynamic': 'dynamic library',
+};
+
+// Parses the old-style (OpenStep) property list format project.pbxproj is written in
+function parsePbxproj(text) {
+  let i = 0;
+
+  const skipWhitespace = () => {
+    while (i < text.length) {
+      if (/\s/.test(text[i])) {
+        i++;
+      } else if (text.startsWith('//', i)) {
+        const end = text.indexOf('\n', i);
+        i = end === -1 ? text.length : end + 1;
+      } else if (text.startsWith('/*', i)) {
+        const end = text.indexOf('*/', i + 2);
+        i = end === -1 ? text.length : end + 2;
+      } else {
+        break;
+      }
+    }
+  };
+
+  const expect = (c) => {
+    skipWhitespace();
+    if (text[i] !== c) throw new Error(`Malformed project.pbxproj: expected "${c}" at offset ${i}`);
+    i++;
+  };
+
+  const parseValue = () => {
+    skipWhitespace();
+    const c = text[i];
+    if (c === '{') {
+      i++;
+      const dict = {};
+      for (;;) {
+        skipWhitespace();
+        if (text[i] === '}') { i++; return dict; }
+        if (i >= text.length) throw new Error('Malformed project.pbxproj: unterminated dictionary');
+        const key = parseValue();
+        expect('=');
+        dict[key] = parseValue();
+        expect(';');
+      }
+    }
+    if (c === '(') {
+      i++;
+      const list = [];
+      for (;;) {
+        skipWhitespace();
+        if (text[i] === ')') { i++; return list; }
+        if (i >= text.length) throw new Error('Malformed project.pbxproj: unterminated array');
+        list.push(parseValue());
+        skipWhitespace();
+        if (text[i] === ',') i++;
+      }
+    }
+    if (c === '"') {
+      i++;
+      let value = '';
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\') {
+          i++;
+          value += { n: '\n', t: '\t' }[text[i]] ?? text[i];
+        } else {
+          value += text[i];
+        }
+        i++;
+      }
+      i++;
+      return value;
+    }
+    const m = /^[^\s;,=(){}"]+/.exec(text.slice(i, i + 1024));
+    if (!m) throw new Error(`Malformed project.pbxproj: unexpected "${c}" at offset ${i}`);
+    i += m[0].length;
+    return m[0];
+  };
+
+  return parseValue();
+}
+
+// The .xcodeproj bundles behind a detected project: the project itself, or
+// every project a workspace references (falling back to any at the root)
+async function findXcodeProjects(projectInfo, projectPath) {
+  if (projectInfo?.type === 'xcodeproj') return [projectInfo.path];
+  if (projectInfo?.type !== 'xcworkspace') return [];
+
+  const projects = [];
+  try {
+    const contents = await fs.readFile(path.join(projectInfo.path, 'contents.xcworkspacedata'), 'utf-8');
+    for (const m of contents.matchAll(/location\s*=\s*"(group|container|absolute):([^"]+\.xcodeproj)"/g)) {
+      const candidate = m[1] === 'absolute' ? m[2] : path.resolve(path.dirname(projectInfo.path), m[2]);
+      if (!projects.includes(candidate)) projects.push(candidate);
+    }
+  } catch {
+    // no workspace data, look next to the workspace instead
+  }
+
+  const existing = [];
+  for (const candidate of projects) {
+    try {
+      if ((await fs.stat(path.join(candidate, 'project.pbxproj'))).isFile()) existing.push(candidate);
+    } catch {
+      // referenced project is missing on disk
+    }
+  }
+  if (existing.length > 0) return existing;
+
+  const entries = await fs.readdir(projectPath, { withFileTypes: true });
+  return entries
+    .filter(e => e.isDirectory() && e.name.endsWith('.xcodeproj'))
+    .map(e => path.join(projectPath, e.name));
+}
+
+// Reads the native targets of one .xcodeproj and the absolute paths of the
+// source files each one compiles. Understands groups, SOURCE_ROOT/absolute
+// paths and Xcode 16 synchronized folders (with their membership exceptions).
+async function readXcodeProject(xcodeprojPath) {
+  const plist = parsePbxproj(await fs.readFile(path.join(xcodeprojPath, 'project.pbxproj'), 'utf-8'));
+  const objects = plist.objects || {};
+  const root = objects[plist.rootObject];
+  if (!root) throw new Error(`${path.basename(xcodeprojPath)}: project.pbxproj has no root object`);
+  const sourceRoot = path.resolve(path.dirname(xcodeprojPath), root.projectDirPath || '');
+
+  // Object id -> absolute path, resolved down the group hierarchy
+  const fullPaths = {};
+  const visit = (id, parentPath) => {
+    const obj = objects[id];
+    if (!obj || fullPaths[id]) return;
+    let base;
+    if (obj.sourceTree === '<group>' || obj.sourceTree === undefined) base = parentPath;
+    else if (obj.sourceTree === 'SOURCE_ROOT') base = sourceRoot;
+    else if (obj.sourceTree === '<absolute>') base = '/';
+    else return;  // SDKROOT, BUILT_PRODUCTS_DIR, ...
+    fullPaths[id] = obj.path ? path.resolve(base, obj.path) : base;
+    for (const child of obj.children || []) visit(child, fullPaths[id]);
+  };
+  visit(root.mainGroup, sourceRoot);
+
+  const referenced = new Set();
+  for (const [id, obj] of Object.entries(objects)) {
+    if (obj.isa === 'PBXFileReference' && fullPaths[id]) referenced.add(fullPaths[id]);
+  }
+
+  const targets = [];
+  const syncedFolders = [];
+  for (const [id, obj] of Object.entries(objects)) {
+    if (obj.isa !== 'PBXNativeTarget') continue;
+
+    const files = new Set();
+    for (const phaseId of obj.buildPhases || []) {
+      const phase = objects[phaseId];
+      if (phase?.isa !== 'PBXSourcesBuildPhase' && phase?.isa !== 'PBXHeadersBuildPhase') continue;
+      for (const buildFileId of phase.files || []) {
+        const file = fullPaths[objects[buildFileId]?.fileRef];
+        if (file) files.add(file);
+      }
+    }
+
+    const folders = [];
+    for (const groupId of obj.fileSystemSynchronizedGroups || []) {
+      const folder = fullPaths[groupId];
+      if (!folder) continue;
+      const exceptions = new Set();
+      for (const exceptionId of objects[groupId].exceptions || []) {
+        const exception = objects[exceptionId];
+        if (exception?.isa !== 'PBXFileSystemSynchronizedBuildFileExceptionSet' || exception.target !== id) continue;
+        for (const member of exception.membershipExceptions || []) exceptions.add(path.join(folder, member));
+      }
+      folders.push({ path: folder, exceptions });
+      syncedFolders.push(folder);
+    }
+
+    targets.push({
+      name: obj.name,
+      productType: obj.productType,
+      kind: XCODE_PRODUCT_KINDS[obj.productType] || 'other',
+      files,
+      folders,
+    });
+  }
+
+  // SWIFT_OBJC_BRIDGING_HEADER is relative to the folder holding the .xcodeproj ($(SRCROOT))
+  const projectDir = path.dirname(xcodeprojPath);
+  const bridgingHeaders = new Set();
+  for (const obj of Object.values(objects)) {
+    const setting = obj.isa === 'XCBuildConfiguration' ? obj.buildSettings?.SWIFT_OBJC_BRIDGING_HEADER : undefined;
+    if (typeof setting !== 'string' || !setting) continue;
+    bridgingHeaders.add(path.resolve(projectDir, setting.replace(/^\$[({](SRCROOT|PROJECT_DIR)[)}]\/?/, '')));
+  }
+
+  return { path: xcodeprojPath, targets, referenced, syncedFolders, bridgingHeaders: [...bridgingHeaders] };
+}
+
+// Reads every project behind projectInfo. Returns null for Swift packages.
+async function readXcodeProjects(projectInfo, projectPath) {
+  const projects = [];
+  const errors = [];
+  for (const xcodeprojPath of await findXcodeProjects(projectInfo, projectPath)) {
+    try {
+      projects.push(await readXcodeProject(xcodeprojPath));
+    } catch (error) {
+      errors.push(`${getRelativePath(xcodeprojPath, projectPath)}: ${error.message}`);
+    }
+  }
+  if (projects.length === 0 && errors.length === 0) return null;
+  return { projects, errors };
+}
+
+const isInFolder = (file, folder) => file.startsWith(folder + path.sep);
+
+// Targets compiling a file, across all projects
+function targetsForFile(file, xcodeProjects) {
+  const names = [];
+  for (const project of xcodeProjects.projects) {
+    for (const target of project.targets) {
+      const member = target.files.has(file) ||
+        target.folders.some(f => isInFolder(file, f.path) && !f.exceptions.has(file));
+      if (member && !names.includes(target.name)) names.push(target.name);
+    }
+  }
+  return names;
+}
+
+// Tags each parsed file with its Xcode targets and returns the serializable
+// summary kept in app.json: targets, plus files in the project but in no
+// target (excluded) and files on disk the project doesn't know (orphaned)
+function assignXcodeTargets(files, xcodeProjects, sourcePaths) {
+  const fileCounts = {};
+  for (const [filePath, fileData] of Object.entries(files)) {
+    let targets = targetsForFile(filePath, xcodeProjects);
+    // Headers are rarely target members themselves; follow their implementation file
+    if (targets.length === 0 && filePath.endsWith('.h')) {
+      targets = targetsForFile(filePath.slice(0, -2) + '.m', xcodeProjects);
+    }
+    if (targets.length > 0) fileData.targets = targets;
+    else delete fileData.targets;
+    for (const t of targets) fileCounts[t] = (fileCounts[t] || 0) + 1;
+  }
+
+  const excluded = [];
+  const orphaned = [];
+  for (const file of sourcePaths) {
+    const known = xcodeProjects.projects.some(p =>
+      p.referenced.has(file) || p.syncedFolders.some(folder => isInFolder(file, folder)));
+    if (!known) {
+      orphaned.push(getRelativePath(file));
+    } else if (!file.endsWith('.h') && targetsForFile(file, xcodeProjects).length === 0) {
+      excluded.push(getRelativePath(file));
+    }
+  }
+
+  return {
+    projects: xcodeProjects.projects.map(p => getRelativePath(p.path)),
+    targets: xcodeProjects.projects.flatMap(p => p.targets.map(t => ({
+      name: t.name,
+      kind: t.kind,
+      productType: t.productType,
+      project: getRelativePath(p.path),
+      fileCount: fileCounts[t.name] || 0,
+    }))),
+    excluded,
+    orphaned,
+    errors: xcodeProjects.errors,
+  };
+}
+
+// Report lines for the targets and the files that fall outside them
+function formatXcodeSummary(xcode) {
+  const listFiles = (files) => {
+    let text = '';
+    for (const f of files.slice(0, 10)) text += `\n   • ${f}`;
+    if (files.length > 10) text += `\n   ... +${files.length - 10} more`;
+    return text;
+  };
+
+  let text = '';
+  for (const t of xcode.targets) {
+    text += `\n🎯 Target: ${t.name} (${t.kind}, ${t.fileCount} files)`;
+  }
+  if (xcode.excluded.length > 0) {
+    text += `\n⚠️  ${xcode.excluded.length} files are in the project but in no target (excluded):` + listFiles(xcode.excluded);
+  }
+  if (xcode.orphaned.length > 0) {
+    text += `\n⚠️  ${xcode.orphaned.length} files are not referenced by any Xcode project (orphaned):` + listFiles(xcode.orphaned);
+  }
+  for (const error of xcode.errors) {
+    text += `\n⚠️  Could not read ${error}`;
+  }
+  return text;
+}
+
+// Names accepted by the `target` filters: Xcode targets and package modules
+function knownTargetNames() {
+  const names = new Set();
+  for (const t of astData.xcode?.targets || []) names.add(t.name);
+  for (const t of astData.package?.targets || []) names.add(t.name);
+  return [...names];
+}
+
+// Whether a file belongs to an Xcode target or package module of that name
+function fileInTarget(fileData, target) {
+  return Boolean(fileData?.targets?.includes(target) || fileData?.module === target);
+}
+
+// Error text for an unknown `target` filter, or null when it is valid
+function checkTargetFilter(target) {
+  if (!target) return null;
+  const names = knownTargetNames();
+  if (names.includes(target)) return null;
+  return names.length > 0
+    ? `❌ Unknown target "${target}". Available: ${names.join(', ')}`
+    : `❌ No target information in the loaded AST. Re-run init_swift_repo on an Xcode project or Swift package.`;
+}
+
+// ============== HELPER: BUILT-IN SWIFT PARSER ==============
+// Fallback for machines without SourceKitten (Linux CI, dev containers).
+// Recognises declarations only and emits the same key.kind / key.name /
+// key.inheritedtypes / key.substructure shape as `sourcekitten structure`.
+
+const SWIFT_TYPE_KEYWORDS = new Set(['class', 'struct', 'enum', 'protocol', 'extension', 'actor']);
+const SWIFT_DECL_KEYWORDS = new Set([
+  ...SWIFT_TYPE_KEYWORDS, 'func', 'init', 'deinit', 'subscript', 'var', 'let',
+  'typealias', 'associatedtype', 'import', 'case', 'operator', 'precedencegroup', 'macro',
+]);
+const SWIFT_ACCESS_MODIFIERS = new Set(['open', 'public', 'package', 'internal', 'fileprivate', 'private']);
+const SWIFT_MODIFIERS = new Set([
+  ...SWIFT_ACCESS_MODIFIERS, 'static', 'class', 'final', 'override', 'mutating', 'nonmutating',
+  'lazy', 'weak', 'unowned', 'convenience', 'required', 'dynamic', 'optional', 'indirect',
+  'nonisolated', 'prefix', 'postfix', 'infix', 'distributed',
+]);
+const SWIFT_EFFECTS = new Set(['async', 'throws', 'rethrows', 'reasync']);
+
+// Splits Swift source into tokens carrying char and UTF-8 byte positions.
+// Comments are dropped; string literals (including interpolations) become one token.
+function tokenizeSwift(text) {
+  const tokens = [];
+  let i = 0, line = 1, byte = 0;
+
+  const advance = () => {
+    const code = text.charCodeAt(i);
+    if (code === 10) line++;
+    byte += utf8Length(code);
+    i++;
+  };
+  const isIdentStart = (c) => /[\p{L}_$]/u.test(c);
+  const isIdentPart = (c) => /[\p{L}\p{N}_$]/u.test(c);
+
+  function skipString(hashes = '') {
+    const quote = text.startsWith('"""', i) ? '"""' : '"';
+    const close = quote + hashes;
+    for (let k = 0; k < quote.length; k++) advance();
+    while (i < text.length && !text.startsWith(close, i)) {
+      if (quote === '"' && text[i] === '\n') return;
+      if (text.startsWith('\\' + hashes + '(', i)) {
+        for (let k = 0; k < hashes.length + 2; k++) advance();
+        let depth = 1;
+        while (i < text.length && depth > 0) {
+          if (text[i] === '"') { skipString(); continue; }
+          if (text[i] === '(') depth++;
+          else if (text[i] === ')') depth--;
+          advance();
+        }
+        continue;
+      }
+      if (text[i] === '\\' && !hashes) advance();
+      advance();
+    }
+    for (let k = 0; k < close.length && i < text.length; k++) advance();
+  }
+
+  while (i < text.length) {
+    const c = text[i];
+    const next = text[i + 1];
+    const start = i, startByte = byte, startLine = line;
+    const push = (type, value = text.slice(start, i), extra = {}) => {
+      tokens.push({ type, value, start, end: i, offset: startByte, endOffset: byte, line: startLine, endLine: line, ...extra });
+    };
+
+    if (/\s/.test(c)) {
+      advance();
+    } else if (c === '/' && next === '/') {
+      while (i < text.length && text[i] !== '\n') advance();
+    } else if (c === '/' && next === '*') {
+      let depth = 0;
+      do {
+        if (text[i] === '/' && text[i + 1] === '*') { depth++; advance(); }
+        else if (text[i] === '*' && text[i + 1] === '/') { depth--; advance(); }
+        advance();
+      } while (i < text.length && depth > 0);
+    } else if (c === '"') {
+      skipString();
+      push('string');
+    } else if (c === '#' && /^#+"/.test(text.slice(i, i + 8))) {
+      // Raw string: #"..."#
+      let hashes = '';
+      while (text[i] === '#') { hashes += '#'; advance(); }
+      skipString(hashes);
+      push('string');
+    } else if (c === '#' && next && isIdentStart(next)) {
+      advance();
+      while (i < text.length && isIdentPart(text[i])) advance();
+      push('directive');
+    } else if (c === '@' && next && isIdentStart(next)) {
+      advance();
+      while (i < text.length && isIdentPart(text[i])) advance();
+      push('attribute');
+    } else if (c === '`') {
+      advance();
+      while (i < text.length && text[i] !== '`' && text[i] !== '\n') advance();
+      advance();
+      push('ident', text.slice(start + 1, i - 1), { quoted: true });
+    } else if (isIdentStart(c)) {
+      while (i < text.length && isIdentPart(text[i])) advance();
+      push('ident');
+    } else if (/[0-9]/.test(c)) {
+      while (i < text.length && /[0-9A-Za-z_.]/.test(text[i]) && !(text[i] === '.' && !/[0-9]/.test(text[i + 1] || ''))) advance();
+      push('number');
+    } else if (c === '-' && next === '>') {
+      advance(); advance();
+      push('punct');
+    } else {
+      advance();
+      push('punct');
+    }
+  }
+
+  return tokens;
+}
+
+// Builds a `sourcekitten structure`-shaped tree from Swift source text
+function parseSwiftStructure(text) {
+  const tokens = tokenizeSwift(text);
+
+  // Index of the matching closing bracket for every opening one
+  const match = new Array(tokens.length).fill(-1);
+  const stack = [];
+  tokens.forEach((t, idx) => {
+    if (t.type !== 'punct') return;
+    if (t.value === '(' || t.value === '[' || t.value === '{') stack.push(idx);
+    else if ((t.value === ')' || t.value === ']' || t.value === '}') && stack.length > 0) match[stack.pop()] = idx;
+  });
+
+  const is = (idx, value) => tokens[idx] !== undefined && !tokens[idx].quoted && tokens[idx].value === value;
+  const isKeyword = (idx, set) => tokens[idx]?.type === 'ident' && !tokens[idx].quoted && set.has(tokens[idx].value);
+  const isOpening = (idx) => tokens[idx]?.type === 'punct' && '([{'.includes(tokens[idx].value);
+  const skipBalanced = (idx) => (isOpening(idx) && match[idx] !== -1 ? match[idx] + 1 : idx + 1);
+  const startsLine = (idx) => idx > 0 && tokens[idx].line > tokens[idx - 1].endLine;
+  const isDeclStart = (idx) => {
+    const t = tokens[idx];
+    return t.type === 'attribute' || t.type === 'directive' || isKeyword(idx, SWIFT_DECL_KEYWORDS) || isKeyword(idx, SWIFT_MODIFIERS);
+  };
+  const sourceText = (from, to) => (to > from ? text.slice(tokens[from].start, tokens[to - 1].end).replace(/\s+/g, ' ').trim() : '');
+
+  // Moves past the statement at idx: to the next declaration on a new line, a ';', or end
+  function skipStatement(idx, end, { stopAtComma = false } = {}) {
+    idx = skipBalanced(idx);
+    while (idx < end) {
+      if (is(idx, ';')) return idx + 1;
+      if (stopAtComma && is(idx, ',')) return idx;
+      if (is(idx, '}')) return idx;
+      if (startsLine(idx) && isDeclStart(idx)) return idx;
+      idx = skipBalanced(idx);
+    }
+    return end;
+  }
+
+  // Skips a generic parameter/argument clause starting at '<'
+  function skipAngles(idx, end) {
+    let depth = 0;
+    while (idx < end) {
+      if (is(idx, '<')) depth++;
+      else if (is(idx, '>')) depth--;
+      idx = skipBalanced(idx);
+      if (depth === 0) break;
+    }
+    return idx;
+  }
+
+  // Reads a type up to one of `stops` at nesting depth 0. Types on a single line
+  // end at the line break unless the line clearly continues.
+  function scanType(idx, end, stops) {
+    const from = idx;
+    let angle = 0;
+    while (idx < end) {
+      const t = tokens[idx];
+      if (idx > from && angle === 0) {
+        if (t.type === 'punct' && stops.has(t.value)) break;
+        if (t.type === 'ident' && !t.quoted && stops.has(t.value)) break;
+        if (is(idx, '}') || is(idx, ';')) break;
+        const continues = ['.', '&', '->', ',', '<'].includes(tokens[idx - 1].value) || ['.', '&', '->'].includes(t.value);
+        if (startsLine(idx) && !continues) break;
+      }
+      if (is(idx, '<')) angle++;
+      else if (is(idx, '>') && angle > 0) angle--;
+      idx = skipBalanced(idx);
+    }
+    return { text: sourceText(from, idx), next: idx };
+  }
+
+  // External labels of a parameter clause: (id: Int, _ x: Int, for key: K) -> [id, _, for]
+  function parameterLabels(open, isSubscript) {
+    const close = match[open] === -1 ? open + 1 : match[open];
+    const labels = [];
+    let idx = open + 1;
+    while (idx < close) {
+      const segmentStart = idx;
+      while (idx < close && !is(idx, ',')) idx = skipBalanced(idx);
+      const first = tokens[segmentStart], second = tokens[segmentStart + 1];
+      if (first?.type === 'ident') {
+        const hasInternalName = second?.type === 'ident' && segmentStart + 1 < idx;
+        labels.push(isSubscript && !hasInternalName ? '_' : first.value);
+      }
+      idx++;
+    }
+    return labels;
+  }
+
+  function node(kind, name, from, to, nameTok, access, extra = {}) {
+    const n = {
+      'key.kind': `source.lang.swift.${kind}`,
+      'key.name': name,
+      'key.offset': tokens[from].offset,
+      'key.length': tokens[to - 1].endOffset - tokens[from].offset,
+      'key.nameoffset': nameTok.offset,
+      'key.namelength': nameTok.endOffset - nameTok.offset,
+      'key.accessibility': `source.lang.swift.accessibility.${access}`,
+    };
+    if (extra.typeName) n['key.typename'] = extra.typeName;
+    if (extra.inheritedTypes?.length > 0) n['key.inheritedtypes'] = extra.inheritedTypes.map(t => ({ 'key.name': t }));
+    if (extra.substructure?.length > 0) n['key.substructure'] = extra.substructure;
+    return n;
+  }
+
+  function parseTypeDecl(idx, end, declStart, modifiers, access, context) {
+    const keyword = tokens[idx].value;
+    idx++;
+    const nameTok = tokens[idx];
+    if (nameTok?.type !== 'ident') return { nodes: [], next: skipStatement(idx - 1, end) };
+
+    let name = nameTok.value;
+    idx++;
+    while (keyword === 'extension' && is(idx, '.') && tokens[idx + 1]?.type === 'ident') {
+      name += '.' + tokens[idx + 1].value;
+      idx += 2;
+    }
+    if (is(idx, '<')) idx = skipAngles(idx, end);
+
+    const inheritedTypes = [];
+    if (is(idx, ':')) {
+      idx++;
+      while (idx < end) {
+        const { text: typeText, next } = scanType(idx, end, new Set([',', '{', 'where']));
+        if (typeText) inheritedTypes.push(typeText);
+        idx = next;
+        if (!is(idx, ',')) break;
+        idx++;
+      }
+    }
+    while (idx < end && !is(idx, '{') && !(startsLine(idx) && isDeclStart(idx))) idx = skipBalanced(idx);
+
+    let substructure = [];
+    if (is(idx, '{')) {
+      const close = match[idx] === -1 ? end : match[idx];
+      // Members of a protocol or of an extension with explicit access inherit that access
+      const memberAccess = keyword === 'protocol' || (keyword === 'extension' && modifiers.some(m => SWIFT_ACCESS_MODIFIERS.has(m)))
+        ? access : 'internal';
+      substructure = parseDeclarations(idx + 1, close, { inType: true, defaultAccess: memberAccess });
+      idx = Math.min(close + 1, end);
+    }
+
+    // Actors are reference types; report them as classes so the rest of the pipeline picks them up
+    const kind = `decl.${keyword === 'actor' ? 'class' : keyword}`;
+    return { nodes: [node(kind, name, declStart, idx, nameTok, access, { inheritedTypes, substructure })], next: idx };
+  }
+
+  function parseFunctionDecl(idx, end, declStart, modifiers, access, context) {
+    const keyword = tokens[idx].value;
+    const nameTok = tokens[idx];
+    idx++;
+
+    let base = keyword;
+    let declNameTok = nameTok;
+    if (keyword === 'func') {
+      declNameTok = tokens[idx];
+      if (tokens[idx]?.type === 'ident') {
+        base = tokens[idx].value;
+        idx++;
+      } else {
+        let opName = '';
+        while (idx < end && tokens[idx].type === 'punct' && !is(idx, '(') && !(opName && is(idx, '<'))) {
+          opName += tokens[idx].value;
+          idx++;
+        }
+        base = opName;
+        declNameTok = { ...declNameTok, endOffset: tokens[idx - 1].endOffset };
+      }
+    } else if (keyword === 'init' && (is(idx, '?') || is(idx, '!')) && tokens[idx].offset === nameTok.endOffset) {
+      idx++;
+    }
+
+    if (is(idx, '<')) idx = skipAngles(idx, end);
+    let labels = [];
+    if (is(idx, '(')) {
+      labels = parameterLabels(idx, keyword === 'subscript');
+      idx = skipBalanced(idx);
+    }
+    while (isKeyword(idx, SWIFT_EFFECTS)) {
+      idx++;
+      if (is(idx, '(') && tokens[idx - 1].value === 'throws') idx = skipBalanced(idx);
+    }
+
+    let typeName;
+    if (is(idx, '->')) {
+      const { text: typeText, next } = scanType(idx + 1, end, new Set(['{', 'where', '=']));
+      typeName = typeText;
+      idx = next;
+    }
+    if (is(idx, 'where')) {
+      while (idx < end && !is(idx, '{') && !(startsLine(idx) && isDeclStart(idx))) idx = skipBalanced(idx);
+    }
+    if (is(idx, '{')) idx = skipBalanced(idx);
+
+    const name = keyword === 'deinit' ? 'deinit' : `${base}(${labels.map(l => `${l}:`).join('')})`;
+    let kind;
+    if (keyword === 'subscript') kind = 'decl.function.subscript';
+    else if (!context.inType) kind = 'decl.function.free';
+    else if (modifiers.includes('static')) kind = 'decl.function.method.static';
+    else if (modifiers.includes('class')) kind = 'decl.function.method.class';
+    else kind = 'decl.function.method.instance';
+
+    return { nodes: [node(kind, name, declStart, idx, declNameTok, access, { typeName })], next: Math.min(idx, end) };
+  }
+
+  function parseVarDecl(idx, end, declStart, modifiers, access, context) {
+    let kind;
+    if (!context.inType) kind = 'decl.var.global';
+    else if (modifiers.includes('static')) kind = 'decl.var.static';
+    else if (modifiers.includes('class')) kind = 'decl.var.class';
+    else kind = 'decl.var.instance';
+
+    const nodes = [];
+    idx++;
+    let bindingStart = declStart;
+    while (idx < end) {
+      const nameTok = tokens[idx];
+      if (nameTok.type !== 'ident') {
+        // Tuple patterns and the like: nothing to name
+        return { nodes, next: skipStatement(idx, end) };
+      }
+      idx++;
+
+      let typeName;
+      if (is(idx, ':')) {
+        const { text: typeText, next } = scanType(idx + 1, end, new Set(['=', '{', ',']));
+        typeName = typeText;
+        idx = next;
+      }
+      if (is(idx, '=')) idx = skipStatement(idx, end, { stopAtComma: true });
+      if (is(idx, '{')) idx = skipBalanced(idx);
+
+      nodes.push(node(kind, nameTok.value, bindingStart, idx, nameTok, access, { typeName }));
+      if (!is(idx, ',')) break;
+      idx++;
+      bindingStart = idx;
+    }
+    return { nodes, next: Math.min(idx, end) };
+  }
+
+  function parseDeclarations(start, end, context) {
+    const nodes = [];
+    let idx = start;
+
+    while (idx < end) {
+      const t = tokens[idx];
+
+      // Conditional compilation: keep the declarations of every branch
+      if (t.type === 'directive' && ['#if', '#elseif', '#else', '#endif'].includes(t.value)) {
+        const line = t.line;
+        idx++;
+        if (t.value === '#if' || t.value === '#elseif') {
+          while (idx < end && tokens[idx].line === line) idx++;
+        }
+        continue;
+      }
+
+      // Attributes and modifiers
+      const modifiers = [];
+      const attributes = [];
+      let declStart = -1;
+      while (idx < end) {
+        if (tokens[idx].type === 'attribute') {
+          // Offset and length cover the arguments too, as SourceKitten reports them
+          const attribute = { name: tokens[idx].value.slice(1), offset: tokens[idx].offset };
+          idx++;
+          if (is(idx, '(') && tokens[idx].offset === tokens[idx - 1].endOffset) idx = skipBalanced(idx);
+          attributes.push({ ...attribute, length: tokens[idx - 1].endOffset - attribute.offset });
+          continue;
+        }
+        const isModifier = isKeyword(idx, SWIFT_MODIFIERS) &&
+          (isKeyword(idx + 1, SWIFT_DECL_KEYWORDS) || isKeyword(idx + 1, SWIFT_MODIFIERS) || tokens[idx + 1]?.type === 'attribute' ||
+           (SWIFT_ACCESS_MODIFIERS.has(tokens[idx].value) && is(idx + 1, '(')));
+        if (!isModifier) break;
+        if (declStart === -1) declStart = idx;
+        idx++;
+        // private(set) and friends restrict the setter only, not the declaration
+        if (is(idx, '(') && SWIFT_ACCESS_MODIFIERS.has(tokens[idx - 1].value)) {
+          idx = skipBalanced(idx);
+          continue;
+        }
+        modifiers.push(tokens[idx - 1].value);
+      }
+      if (idx >= end) break;
+      if (declStart === -1) declStart = idx;
+
+      const access = modifiers.find(m => SWIFT_ACCESS_MODIFIERS.has(m)) || context.defaultAccess;
+      const args = [idx, end, declStart, modifiers, access, context];
+      let result = null;
+
+      if (isKeyword(idx, SWIFT_TYPE_KEYWORDS) && tokens[idx + 1]?.type === 'ident') {
+        result = parseTypeDecl(...args);
+      } else if (isKeyword(idx, new Set(['func', 'init', 'deinit', 'subscript']))) {
+        result = parseFunctionDecl(...args);
+      } else if (isKeyword(idx, new Set(['var', 'let']))) {
+        result = parseVarDecl(...args);
+      }
+
+      if (result) {
+        // SourceKitten lists modifiers alongside @attributes
+        const declAttributes = [
+          ...attributes.map(a => ({ 'key.attribute': `source.decl.attribute.${a.name}`, 'key.offset': a.offset, 'key.length': a.length })),
+          ...modifiers.map(m => ({ 'key.attribute': `source.decl.attribute.${m}` })),
+        ];
+        if (declAttributes.length > 0) {
+          for (const node of result.nodes) {
+            node['key.attributes'] = declAttributes;
+          }
+        }
+        nodes.push(...result.nodes);
+        idx = Math.max(result.next, idx + 1);
+      } else {
+        idx = skipStatement(idx, end);
+      }
+    }
+
+    return nodes;
+  }
+
+  return {
+    'key.offset': 0,
+    'key.length': Buffer.byteLength(text),
+    'key.substructure': parseDeclarations(0, tokens.length, { inType: false, defaultAccess: 'internal' }),
+  };
+}
+
+// ============== HELPER: CLANG ARGUMENTS ==============
+
+// Splits a compile_commands.json `command` string the way a POSIX shell would
+function splitCommandLine(command) {
+  const args = [];
+  let current = '', quote = null, inArg = false;
+  for (let i = 0; i < command.length; i++) {
+    const c = command[i];
+    if (quote) {
+      if (c === quote) quote = null;
+      else if (c === '\\' && quote === '"' && i + 1 < command.length) current += command[++i];
+      else current += c;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+      inArg = true;
+    } else if (c === '\\' && i + 1 < command.length) {
+      current += command[++i];
+      inArg = true;
+    } else if (/\s/.test(c)) {
+      if (inArg) args.push(current);
+      current = '';
+      inArg = false;
+    } else {
+      current += c;
+      inArg = true;
+    }
+  }
+  if (inArg) args.push(current);
+  return args;
+}
+
+// Compiler flags that write output, dependency or index files, with the number of values each takes
+const CLANG_OUTPUT_FLAGS = new Map([
+  ['-o', 1], ['-c', 0], ['-MF', 1], ['-MT', 1], ['-MQ', 1], ['-MD', 0], ['-MMD', 0], ['-M', 0], ['-MM', 0], ['-MG', 0], ['-MP', 0],
+  ['--serialize-diagnostics', 1], ['-index-store-path', 1], ['-fcolor-diagnostics', 0],
+]);
+
+// A compile command's arguments minus the compiler, the source file and anything that writes output
+function parsingArguments(args, file, directory) {
+  const kept = [];
+  for (let i = 1; i < args.length; i++) {
+    const arg = args[i];
+    if (CLANG_OUTPUT_FLAGS.has(arg)) {
+      i += CLANG_OUTPUT_FLAGS.get(arg);
+      continue;
+    }
+    // Joined forms: -ofoo.o, -MFfoo.d
+    if (/^-o[^b]/.test(arg) || /^-M[FTQ]./.test(arg)) continue;
+    if (!arg.startsWith('-') && path.resolve(directory, arg) === file) continue;
+    kept.push(arg);
+  }
+  return kept;
+}
+
+// compile_commands.json as absolute file path -> { args, directory }
+async function readCompileCommands(dbPath) {
+  let entries;
+  try {
+    entries = JSON.parse(await fs.readFile(dbPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Can't read compilation database ${dbPath}: ${error.message}`);
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error(`${dbPath} is not a compilation database (expected a JSON array of compile commands)`);
+  }
+  const commands = new Map();
+  for (const entry of entries) {
+    if (!entry?.file) continue;
+    const directory = path.resolve(path.dirname(dbPath), entry.directory || '.');
+    const file = path.resolve(directory, entry.file);
+    const args = entry.arguments || splitCommandLine(entry.command || '');
+    commands.set(file, { args: parsingArguments(args, file, directory), directory });
+  }
+  return commands;
+}
+
+// Where a compilation database is looked for when none is configured
+const COMPILE_COMMANDS_CANDIDATES = ['compile_commands.json', 'build/compile_commands.json'];
+
+// How Clang is invoked for each Objective-C file. In order of preference:
+// the file's entry in the compilation database; for a header, the entry of
+// its .m; otherwise the configured flags (relative paths are against the repo
+// root) plus -I for every project directory holding headers, the way Xcode's
+// header maps make project headers importable by name.
+async function createClangSettings(root, { compileCommands, flags = [] } = {}, objcFiles = []) {
+  let dbPath = compileCommands ? path.resolve(root, compileCommands) : null;
+  if (!dbPath) {
+    for (const candidate of COMPILE_COMMANDS_CANDIDATES) {
+      try {
+        await fs.access(path.join(root, candidate));
+        dbPath = path.join(root, candidate);
+        break;
+      } catch {
+        // Not there
+      }
+    }
+  }
+  const commands = dbPath ? await readCompileCommands(dbPath) : new Map();
+  const headerDirs = [...new Set(objcFiles.filter(f => f.endsWith('.h')).map(f => path.dirname(f)))].sort();
+  const fallback = [...flags, ...headerDirs.flatMap(dir => ['-I', dir])];
+
+  const entryFor = (file) => {
+    if (commands.has(file)) return { entry: commands.get(file) };
+    if (!file.endsWith('.h')) return {};
+    for (const [ext, language] of [['.m', 'objective-c'], ['.mm', 'objective-c++']]) {
+      const entry = commands.get(file.replace(/\.h$/, ext));
+      if (entry) return { entry, language };
+    }
+    return {};
+  };
+
+  return {
+    compileCommands: dbPath,
+    fileCount: commands.size,
+    argsFor(file) {
+      const { entry, language } = entryFor(file);
+      if (!entry) return { args: [...clangLanguageArgs(file), ...CLANG_AST_ARGS, ...fallback, file], cwd: root };
+      // A header parsed with its implementation's arguments still needs the language spelled out
+      const languageArgs = language && !entry.args.includes('-x') ? ['-x', language] : [];
+      return { args: [...entry.args, ...CLANG_AST_ARGS, ...languageArgs, file], cwd: entry.directory };
+    },
+  };
+}
+
+// Errors from Clang's stderr (`file:line:col: error: message`), with paths made absolute
+function parseClangDiagnostics(stderr, cwd) {
+  const diagnostics = [];
+  for (const line of stderr.split('\n')) {
+    const match = line.match(/^(.+?):(\d+):(\d+): (fatal error|error): (.*)$/);
+    if (!match) continue;
+    diagnostics.push({
+      file: path.resolve(cwd || '.', match[1]),
+      line: Number(match[2]),
+      column: Number(match[3]),
+      severity: match[4],
+      message: match[5],
+    });
+  }
+  return diagnostics;
+}
+
+// One line per failed file with its first Clang error, for init and refresh reports
+function formatParseFailure({ file, error }) {
+  const first = error.diagnostics?.[0];
+  if (!first) return `${getRelativePath(file)}: ${error.code === 'ETIMEDOUT' ? 'timed out' : error.message.split('\n')[0]}`;
+  const where = first.file === file ? getRelativePath(file) : `${getRelativePath(file)} → ${getRelativePath(first.file)}`;
+  const more = error.diagnostics.length > 1 ? ` (+${error.diagnostics.length - 1} more)` : '';
+  return `${where}:${first.line}:${first.column}: ${first.severity}: ${first.message}${more}`;
+}
+
+// ============== HELPER: INDEX BUILDING ==============
+
+// Symbol lists that make up the type map, with the kind each is recorded as
+const TYPE_LISTS = [['classes', 'class'], ['structs', 'struct'], ['protocols', 'protocol'], ['enums', 'enum']];
+
+// Return type written in a Swift function header (`func load(id: Int) async throws -> User?`), or undefined
+function swiftReturnType(header) {
+  const open = header.indexOf('(');
+  if (open < 0) return undefined;
+  let depth = 0, idx = open;
+  for (; idx < header.length; idx++) {
+    if (header[idx] === '(') depth++;
+    else if (header[idx] === ')' && --depth === 0) break;
+  }
+  const rest = header.slice(idx + 1);
+  const arrow = rest.indexOf('->');
+  if (arrow < 0) return undefined;
+  return rest.slice(arrow + 2).split(/\bwhere\b|\{/)[0].trim() || undefined;
+}
+
+// `sourcekitten structure` gives no type for functions: fill key.typename with
+// the return type from the declaration header, like the built-in parser does
+function fillSwiftReturnTypes(node, source) {
+  const kind = node['key.kind'] || '';
+  if (kind.startsWith('source.lang.swift.decl.function.') && !kind.endsWith('.constructor') && !node['key.typename'] && node['key.offset'] !== undefined) {
+    const end = node['key.bodyoffset'] !== undefined ? node['key.bodyoffset'] : node['key.offset'] + node['key.length'];
+    const returnType = swiftReturnType(source.subarray(node['key.offset'], end).toString('utf-8'));
+    if (returnType) node['key.typename'] = returnType;
+  }
+  for (const child of node['key.substructure'] || []) fillSwiftReturnTypes(child, source);
+}
+
+// Parses one source file with SourceKitten (.swift) or Clang (.m/.h).
+// Swift falls back to the built-in parser when SourceKitten is missing or fails on the file;
+// `parser` records which backend produced the result. Clang gets the file's
+// arguments from `clang` (createClangSettings); when it fails, the error
+// carries Clang's `diagnostics`.
+async function parseSourceFile(file, { timeoutMs, useSourceKitten = true, clang, tools = projectConfig.tools } = {}) {
+  if (isSwiftSource(file)) {
+    const source = await fs.readFile(file);
+    let ast = null;
+    let parser = 'builtin';
+    if (useSourceKitten) {
+      try {
+        const { stdout } = await execWithFile(tools.sourcekitten, ['structure', '--file', file], { timeoutMs });
+        ast = JSON.parse(stdout);
+        fillSwiftReturnTypes(ast, source);
+        parser = 'sourcekitten';
+      } catch {
+        ast = null;
+      }
+    }
+    if (!ast) ast = parseSwiftStructure(source.toString('utf-8'));
+    fillSwiftObjCNames(ast, source);
+    const symbols = extractSymbols(ast, file);
+    const memberData = extractMemberData(ast);
+    return { symbols, memberData, language: 'swift', parser };
+  }
+
+  // Use clang to generate AST, use -x objective-c to force Objective-C mode
+  const { args, cwd } = clang ? clang.argsFor(file) : { args: [...clangLanguageArgs(file), ...CLANG_AST_ARGS, file] };
+  let stdout;
+  try {
+    ({ stdout } = await execWithFile(tools.clang, args, { timeoutMs, cwd }));
+  } catch (error) {
+    error.diagnostics = parseClangDiagnostics(error.stderr || '', cwd);
+    throw error;
+  }
+  const ast = JSON.parse(stdout);
+  const { symbols, memberData } = extractObjCSymbols(ast, file, await fs.readFile(file));
+  return { symbols, memberData, language: 'objc', parser: 'clang' };
+}
+
+// Display names for the parser backends recorded per file
+const PARSER_LABELS = {
+  sourcekitten: 'SourceKitten',
+  builtin: 'built-in Swift parser',
+  clang: 'Clang',
+};
+
+// Content hash and mtime stored per file so refresh_repo can skip unchanged files
+async function fingerprintFile(file) {
+  const [content, stats] = await Promise.all([fs.readFile(file), fs.stat(file)]);
+  return { hash: createHash('sha1').update(content).digest('hex'), mtimeMs: stats.mtimeMs };
+}
+
+// Modules and targets a file is built into, used to tell same-named types apart
+function unitsOf(fileData) {
+  return [fileData?.module, ...(fileData?.targets || [])].filter(Boolean);
+}
+
+// Lookup tables for resolveTypeKey: qualified name -> type map keys
+function typeLookup(typeMap, files, root = repoPath) {
+  const keysByName = new Map();
+  for (const [key, info] of Object.entries(typeMap)) {
+    const name = info.symbol?.qualifiedName || info.symbol?.name || key;
+    if (!keysByName.has(name)) keysByName.set(name, []);
+    keysByName.get(name).push(key);
+  }
+  return { typeMap, keysByName, fileDataOf: (rel) => files[path.join(root, rel)] };
+}
+
+// Resolves a type name as written in a declaration (`State`, `Outer.State`,
+// `Feature.Coordinator`, `Base<T>`) to a type map key, looking outwards from
+// the enclosing scope like Swift does and preferring a declaration in the same
+// file, then the same module or target. Returns null for external types.
+function resolveTypeKey(written, { rel, fileData, scope = '' }, lookup) {
+  const { typeMap, keysByName, fileDataOf } = lookup;
+  const name = written.replace(/<[\s\S]*$/, '').trim();
+
+  const pick = (keys) => {
+    if (keys.length === 1) return keys[0];
+    const units = unitsOf(fileData);
+    return keys.find(k => typeMap[k].file === rel) ||
+      keys.find(k => unitsOf(fileDataOf(typeMap[k].file)).some(u => units.includes(u))) ||
+      keys[0];
+  };
+
+  const scopeParts = scope ? scope.split('.') : [];
+  for (let i = scopeParts.length; i >= 0; i--) {
+    const keys = keysByName.get([...scopeParts.slice(0, i), name].join('.'));
+    if (keys) return pick(keys);
+  }
+
+  // Module- or target-qualified name
+  const dot = name.indexOf('.');
+  if (dot > 0) {
+    const unit = name.slice(0, dot);
+    const keys = (keysByName.get(name.slice(dot + 1)) || [])
+      .filter(k => unitsOf(fileDataOf(typeMap[k].file)).includes(unit));
+    if (keys.length > 0) return pick(keys);
+  }
+
+  return typeMap[name] ? name : null;
+}
+
+// Member lists that create composition edges: [list, type field, relationship]
+const COMPOSITION_MEMBERS = [['properties', 'type', 'holds'], ['methods', 'returnType', 'returns']];
+
+// Type names mentioned in a written type. Wrappers are looked through, so
+// `[User]`, `User?`, `Published<User>`, `[String: User]`, `(User) -> Void` and
+// `NSArray<User *> *` all mention User (next to the wrapper's own name).
+function typeNamesIn(written) {
+  if (!written) return [];
+  return [...new Set(written.replace(/\.(Type|Protocol)\b/g, '').match(/[A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*/g) || [])];
+}
+
+// Inheritance and conformance edges, as opposed to composition (`holds`, `returns`).
+// ASTs saved before composition edges existed have only these, without a relationship.
+function isInheritanceEdge(edge) {
+  return !edge.relationship || edge.relationship === 'inherits' || edge.relationship === 'conforms';
+}
+
+// Builds the type map and the dependency edges for all files.
+// Types are keyed by qualified name ("Outer.State"). A name declared in more
+// than one place gets its module or target as a prefix ("Login.Coordinator"),
+// or its file as a suffix ("Coordinator@Login/Coordinator.swift") when that
+// doesn't tell them apart. Objective-C declarations repeated in every file
+// that #imports them collapse into one, preferring the matching header.
+// Each symbol's key is written back to it as `key`. Edges carry a relationship:
+// inherits, conforms (also protocol refinement), holds (property type) or
+// returns (method return type); protocols get them from their requirements.
+function buildDependencyGraph(files, root = repoPath) {
+  const declarations = new Map();  // qualified name -> [{ rel, kind, symbol, fileData }]
+  for (const [filePath, fileData] of Object.entries(files)) {
+    const rel = getRelativePath(filePath, root);
+    for (const [listName, kind] of TYPE_LISTS) {
+      for (const symbol of fileData.symbols[listName]) {
+        const name = symbol.qualifiedName || symbol.name;
+        if (!declarations.has(name)) declarations.set(name, []);
+        declarations.get(name).push({ rel, kind, symbol, fileData });
+      }
+    }
+  }
+
+  const typeMap = {};
+  const aliases = [];
+  for (const [name, decls] of declarations) {
+    const distinct = decls.filter(d => d.fileData.language !== 'objc');
+    for (const kind of new Set(decls.filter(d => d.fileData.language === 'objc').map(d => d.kind))) {
+      const objc = decls.filter(d => d.fileData.language === 'objc' && d.kind === kind);
+      const canonical = objc.find(d => d.rel.endsWith(`/${name}.h`) || d.rel === `${name}.h`) ||
+        objc.find(d => d.rel.endsWith('.h')) || objc[0];
+      distinct.push(canonical);
+      for (const d of objc) if (d !== canonical) aliases.push([d.symbol, canonical.symbol]);
+    }
+
+    const unitCounts = new Map();
+    for (const d of distinct) {
+      const unit = unitsOf(d.fileData)[0];
+      if (unit) unitCounts.set(unit, (unitCounts.get(unit) || 0) + 1);
+    }
+
+    for (const d of distinct) {
+      const unit = unitsOf(d.fileData)[0];
+      let key = name;
+      if (distinct.length > 1) key = unit && unitCounts.get(unit) === 1 ? `${unit}.${name}` : `${name}@${d.rel}`;
+      if (typeMap[key]) key = `${name}@${d.rel}`;
+      if (typeMap[key]) key = `${name}@${d.rel}#${d.kind}`;
+      d.symbol.key = key;
+      typeMap[key] = { file: d.rel, kind: d.kind, symbol: d.symbol };
+    }
+  }
+  for (const [alias, canonical] of aliases) alias.key = canonical.key;
+
+  const lookup = typeLookup(typeMap, files, root);
+  const edges = [];
+  for (const [filePath, fileData] of Object.entries(files)) {
+    const rel = getRelativePath(filePath, root);
+    const s = fileData.symbols;
+    // Protocols too: a refinement or a requirement's type is a dependency like any other
+    for (const symbol of [...s.classes, ...s.structs, ...s.protocols, ...s.enums, ...s.extensions]) {
+      let fromSymbol;
+      if (s.extensions.includes(symbol)) {
+        const extended = symbol.extendedType || symbol.name;
+        const key = resolveTypeKey(extended, { rel, fileData }, lookup);
+        if (key) symbol.key = key;
+        else delete symbol.key;
+        fromSymbol = key || extended;
+      } else {
+        // Repeated Objective-C declarations add their edges once, from the canonical one
+        if (typeMap[symbol.key]?.symbol !== symbol) continue;
+        fromSymbol = symbol.key;
+      }
+
+      const scope = symbol.qualifiedName || symbol.name;
+      for (const inherited of symbol.inheritedTypes || []) {
+        const toSymbol = resolveTypeKey(inherited, { rel, fileData, scope }, lookup);
+        if (!toSymbol) continue;
+        const relationship = typeMap[toSymbol].kind === 'protocol' ? 'conforms' : 'inherits';
+        edges.push({ from: rel, to: typeMap[toSymbol].file, fromSymbol, toSymbol, relationship });
+      }
+
+      // Composition: types held in properties and returned from methods, once per type and relationship
+      const members = s.extensions.includes(symbol) ? symbol.members : fileData.memberData?.[scope] || fileData.memberData?.[symbol.name];
+      const seen = new Set();
+      for (const [list, field, relationship] of COMPOSITION_MEMBERS) {
+        for (const member of members?.[list] || []) {
+          for (const name of typeNamesIn(member[field])) {
+            const toSymbol = resolveTypeKey(name, { rel, fileData, scope }, lookup);
+            if (!toSymbol || toSymbol === fromSymbol || seen.has(`${relationship} ${toSymbol}`)) continue;
+            seen.add(`${relationship} ${toSymbol}`);
+            edges.push({ from: rel, to: typeMap[toSymbol].file, fromSymbol, toSymbol, relationship, member: member.name });
+          }
+        }
+      }
+    }
+  }
+
+  return { typeMap, edges };
+}
+
+function addToIndexes(indexes, rel, fileData) {
+  indexes.byFile[rel] = [];
+
+  const processSymbols = (symbols, kind) => {
+    if (!indexes.byKind[kind]) indexes.byKind[kind] = [];
+
+    for (const symbol of symbols) {
+      // Index by name
+      if (!indexes.byName[symbol.name]) indexes.byName[symbol.name] = [];
+      indexes.byName[symbol.name].push({ file: rel, kind });
+
+      // Index by kind
+      indexes.byKind[kind].push(symbol.name);
+
+      // Index by file
+      indexes.byFile[rel].push(symbol.name);
+    }
+  };
+
+  processSymbols(fileData.symbols.classes, 'class');
+  processSymbols(fileData.symbols.structs, 'struct');
+  processSymbols(fileData.symbols.protocols, 'protocol');
+  processSymbols(fileData.symbols.enums, 'enum');
+  processSymbols(fileData.symbols.functions, 'function');
+}
+
+// Inverse of addToIndexes: drops a file's entries from byName, byKind and byFile
+function removeFromIndexes(indexes, rel) {
+  for (const name of new Set(indexes.byFile[rel] || [])) {
+    const locations = indexes.byName[name] || [];
+    for (const loc of locations.filter(l => l.file === rel)) {
+      const kindList = indexes.byKind[loc.kind] || [];
+      const i = kindList.indexOf(name);
+      if (i !== -1) kindList.splice(i, 1);
+    }
+    const remaining = locations.filter(l => l.file !== rel);
+    if (remaining.length > 0) indexes.byName[name] = remaining;
+    else delete indexes.byName[name];
+  }
+  delete indexes.byFile[rel];
+}
+
+// Parses files through a bounded worker pool. Returns { file, fileData } or
+// { file, error } per input file, in input order so the index is deterministic.
+async function parseSourceFiles(filePaths, { concurrency = DEFAULT_CONCURRENCY, timeoutSeconds = DEFAULT_PARSE_TIMEOUT_SECONDS, useSourceKitten = true, clang } = {}) {
+  const timeoutMs = timeoutSeconds * 1000;
+  return mapWithConcurrency(filePaths, concurrency, async (file) => {
+    try {
+      return { file, fileData: { ...await parseSourceFile(file, { timeoutMs, useSourceKitten, clang }), ...await fingerprintFile(file) } };
+    } catch (error) {
+      return { file, error };
+    }
+  });
+}
+
+// Writes astData where the config's output.path says; returns that path, or null when output.persist is false
+async function saveAstData() {
+  if (!projectConfig.output.persist) return null;
+  const outputPath = outputPathFor(repoPath);
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.writeFile(outputPath, JSON.stringify(astData, null, 2));
+  return outputPath;
+}
+
+// Closing line of init/refresh reports
+const savedLine = (outputPath) => outputPath ? `📄 Saved to: ${outputPath}` : `💾 Not saved (output.persist is false in the config)`;
+
+// ============== HELPER: INDEX FILE ==============
+
+// Version of the saved index layout. Files written before it was recorded count as 1:
+// their type map is keyed by bare names and their edges have no relationship.
+const AST_SCHEMA_VERSION = 2;
+
+const savedSymbolSchema = z.looseObject({
+  name: z.string(),
+  inheritedTypes: z.array(z.string()).optional(),
+});
+const savedMembersSchema = z.looseObject({
+  properties: z.array(z.looseObject({ name: z.string() })).optional(),
+  methods: z.array(z.looseObject({ name: z.string() })).optional(),
+  initializers: z.array(z.looseObject({ name: z.string() })).optional(),
+});
+const savedFileSchema = z.looseObject({
+  symbols: z.looseObject(Object.fromEntries(
+    ['classes', 'structs', 'protocols', 'functions', 'enums', 'extensions', 'variables'].map(list => [list, z.array(savedSymbolSchema)])
+  )),
+  memberData: z.record(z.string(), savedMembersSchema),
+  language: z.enum(['swift', 'objc']),
+  hash: z.string().optional(),
+  mtimeMs: z.number().optional(),
+});
+
+// Derived data is optional: whatever is missing is rebuilt from `files` on load
+const savedAstSchema = z.looseObject({
+  schemaVersion: z.literal(AST_SCHEMA_VERSION),
+  repoPath: z.string(),
+  generatedAt: z.string().optional(),
+  files: z.record(z.string(), savedFileSchema),
+  dependencyGraph: z.looseObject({
+    typeMap: z.record(z.string(), z.looseObject({ file: z.string(), kind: z.string(), symbol: savedSymbolSchema })).optional(),
+    edges: z.array(z.looseObject({
+      from: z.string(),
+      to: z.string(),
+      fromSymbol: z.string(),
+      toSymbol: z.string(),
+      relationship: z.enum(['inherits', 'conforms', 'holds', 'returns']),
+    })).optional(),
+  }).optional(),
+  indexes: z.looseObject({
+    byName: z.record(z.string(), z.array(z.looseObject({ file: z.string(), kind: z.string() }))).optional(),
+    byKind: z.record(z.string(), z.array(z.string())).optional(),
+    byFile: z.record(z.string(), z.array(z.string())).optional(),
+    bridging: z.looseObject({ names: z.record(z.string(), z.array(z.string())) }).nullable().optional(),
+    references: z.record(z.string(), z.array(z.looseObject({ file: z.string(), line: z.number(), column: z.number() }))).optional(),
+  }).optional(),
+  package: z.looseObject({ name: z.string(), targets: z.array(z.looseObject({ name: z.string() })) }).nullable().optional(),
+  xcode: z.looseObject({ targets: z.array(z.looseObject({ name: z.string() })) }).nullable().optional(),
+  clang: z.looseObject({ compileCommands: z.string().optional(), flags: z.array(z.string()).optional() }).optional(),
+  // The resolved config it was built with; `file` is where it was read from
+  config: projectConfigSchema.extend({ file: z.string().optional() }).optional(),
+});
+
+// Upgrades from version n to n + 1, applied in turn
+const AST_MIGRATIONS = {
+  1: (data) => {
+    for (const [file, fileData] of Object.entries(data.files || {})) {
+      if (!fileData || typeof fileData !== 'object') continue;
+      fileData.symbols = { extensions: [], variables: [], ...fileData.symbols };
+      fileData.memberData ??= {};
+      fileData.language ??= file.endsWith('.swift') ? 'swift' : 'objc';
+    }
+    // Keys, edges and indexes from before qualified names can't be trusted: rebuild them
+    delete data.dependencyGraph;
+    delete data.indexes;
+  },
+};
+
+// Reads and validates a saved index, migrating older versions.
+// Returns { data, migratedFrom } (migratedFrom is undefined when already current);
+// throws with the reason the file can't be used.
+async function readAstFile(astPath) {
+  const text = await fs.readFile(astPath, 'utf-8');
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${astPath} is not valid JSON: ${error.message}`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`${astPath} is not an index file: expected a JSON object`);
+  }
+
+  const version = data.schemaVersion ?? 1;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`${astPath} has an invalid schemaVersion: ${JSON.stringify(data.schemaVersion)}`);
+  }
+  if (version > AST_SCHEMA_VERSION) {
+    throw new Error(`${astPath} was written by a newer version of this server (schema ${version}, this one reads up to ${AST_SCHEMA_VERSION}). Update the server or run init_swift_repo again.`);
+  }
+  for (let v = version; v < AST_SCHEMA_VERSION; v++) {
+    AST_MIGRATIONS[v](data);
+    data.schemaVersion = v + 1;
+  }
+
+  const parsed = savedAstSchema.safeParse(data);
+  if (!parsed.success) {
+    throw new Error(`${astPath} does not match index schema ${AST_SCHEMA_VERSION}. Run init_swift_repo to regenerate it.\n${formatSchemaIssues(parsed.error)}`);
+  }
+  // The parsed copy reorders keys; keep the original so refresh_repo's JSON comparisons still hold
+  return { data, migratedFrom: version < AST_SCHEMA_VERSION ? version : undefined };
+}
+
+// Rebuilds the type map, edges and indexes a loaded index is missing, against the
+// index's own repo and config rather than the active ones. Returns the names of what was rebuilt.
+async function rebuildDerivedData(data, config) {
+  const root = data.repoPath;
+  const rebuilt = [];
+  const graph = data.dependencyGraph;
+  if (!graph?.typeMap || !graph.edges) {
+    data.dependencyGraph = buildDependencyGraph(data.files, root);
+    rebuilt.push('type map and edges');
+  }
+
+  data.indexes ??= {};
+  const { indexes } = data;
+  if (!indexes.byName || !indexes.byKind || !indexes.byFile) {
+    Object.assign(indexes, { byName: {}, byKind: {}, byFile: {} });
+    for (const [filePath, fileData] of Object.entries(data.files)) {
+      addToIndexes(indexes, getRelativePath(filePath, root), fileData);
+    }
+    rebuilt.push('symbol indexes');
+  }
+
+  // Bridging and references come from the sources, so they need the repo on disk
+  const sourcePaths = Object.keys(data.files);
+  if (indexes.bridging === undefined) {
+    const projectInfo = await detectProjectType(root).catch(() => null);
+    const xcodeProjects = projectInfo ? await readXcodeProjects(projectInfo, root) : null;
+    indexes.bridging = await buildBridging(data.files, sourcePaths, xcodeProjects, root);
+    rebuilt.push('bridged names');
+  }
+  if (!indexes.references) {
+    indexes.references = await buildReferenceIndex(data.files, data.dependencyGraph.typeMap, sourcePaths, indexes.bridging, { root, config });
+    rebuilt.push('reference index');
+  }
+  return rebuilt;
+}
+
+// ============== HELPER: DIFF PARSING ==============
+
+// Strips the a/ b/ prefixes git adds to diff paths; returns null for /dev/null
+function stripDiffPath(rawPath) {
+  const p = rawPath.split('\t')[0].trim().replace(/^"(.*)"$/, '$1');
+  if (p === '/dev/null') return null;
+  return p.replace(/^[ab]\//, '');
+}
+
+// Parses a unified diff into changed line numbers (in the new version of each file).
+// Removed lines are attributed to the line that now sits where they used to be.
+function parseUnifiedDiff(diffText) {
+  const files = [];
+  let current = null;
+  let oldPath = null;
+  let newLine = 0, oldRemaining = 0, newRemaining = 0;
+
+  for (const line of diffText.split('\n')) {
+    const inHunk = oldRemaining > 0 || newRemaining > 0;
+
+    if (!inHunk && line.startsWith('--- ')) {
+      oldPath = stripDiffPath(line.slice(4));
+      continue;
+    }
+    if (!inHunk && line.startsWith('+++ ')) {
+      const newPath = stripDiffPath(line.slice(4));
+      current = {
+        path: newPath ?? oldPath,
+        added: oldPath === null,
+        deleted: newPath === null,
+        lines: new Set(),
+      };
+      files.push(current);
+      continue;
+    }
+
+    const hunk = !inHunk && line.match(/^@@ -\d+(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (hunk) {
+      oldRemaining = hunk[1] === undefined ? 1 : parseInt(hunk[1], 10);
+      newLine = parseInt(hunk[2], 10);
+      newRemaining = hunk[3] === undefined ? 1 : parseInt(hunk[3], 10);
+      // A pure deletion reports the line *before* the removed block
+      if (newRemaining === 0) newLine++;
+      continue;
+    }
+
+    if (!current || !inHunk) continue;
+
+    if (line.startsWith('+')) {
+      current.lines.add(newLine++);
+      newRemaining--;
+    } else if (line.startsWith('-')) {
+      current.lines.add(Math.max(newLine, 1));
+      oldRemaining--;
+    } else if (line.startsWith(' ') || line === '') {
+      newLine++;
+      oldRemaining--;
+      newRemaining--;
+    }
+  }
+
+  return files;
+}
+
+// Collapses a set of line numbers into "3-5, 10" style ranges for display
+function formatLineRanges(lines) {
+  const sorted = [...lines].sort((a, b) => a - b);
+  const ranges = [];
+  for (const line of sorted) {
+    const last = ranges[ranges.length - 1];
+    if (last && line === last[1] + 1) last[1] = line;
+    else ranges.push([line, line]);
+  }
+  return ranges.map(([a, b]) => a === b ? `${a}` : `${a}-${b}`).join(', ');
+}
+
+// Converts 1-based line numbers into byte ranges, matching the UTF-8 offsets
+// SourceKitten and Clang report for symbols
+function linesToByteRanges(buffer, lines) {
+  const lineStarts = [0];
+  for (let i = 0; i < buffer.length; i++) {
+    if (buffer[i] === 0x0a) lineStarts.push(i + 1);
+  }
+
+  const ranges = [];
+  for (const line of lines) {
+    const index = Math.min(line, lineStarts.length) - 1;
+    const start = lineStarts[index];
+    const end = index + 1 < lineStarts.length ? lineStarts[index + 1] : buffer.length;
+    ranges.push({ start, end: Math.max(end, start + 1) });
+  }
+  return ranges;
+}
+
+// Resolves a path from a diff to a key in astData.files
+function resolveDiffFile(diffPath) {
+  const files = Object.keys(astData.files || {});
+  const exact = files.find(f => getRelativePath(f) === diffPath);
+  if (exact) return exact;
+  return files.find(f => {
+    const rel = getRelativePath(f);
+    return rel.endsWith('/' + diffPath) || diffPath.endsWith('/' + rel);
+  }) || null;
+}
+
+// ============== HELPER: SWIFT/OBJECTIVE-C BRIDGING ==============
+
+const BRIDGING_HEADER_NAME = /-Bridging-Header\.h$/;
+
+// Headers a Swift target imports Objective-C through: SWIFT_OBJC_BRIDGING_HEADER from the
+// Xcode projects, else files named like `App-Bridging-Header.h`
+function findBridgingHeaders(sourcePaths, xcodeProjects) {
+  const existing = new Set(sourcePaths);
+  const configured = (xcodeProjects?.projects || []).flatMap(p => p.bridgingHeaders || []).filter(h => existing.has(h));
+  return configured.length > 0 ? [...new Set(configured)] : sourcePaths.filter(f => BRIDGING_HEADER_NAME.test(f));
+}
+
+// Project headers Swift sees through the bridging headers, following #import and #include
+// relative to the importing header, else by file name. Null without a bridging header:
+// a framework or package exposes its headers through its umbrella header or module map.
+async function exposedHeaders(bridgingHeaders, sourcePaths) {
+  if (bridgingHeaders.length === 0) return null;
+  const headers = new Set(sourcePaths.filter(f => f.endsWith('.h')));
+  const byFileName = new Map();
+  for (const header of headers) {
+    if (!byFileName.has(path.basename(header))) byFileName.set(path.basename(header), header);
+  }
+
+  const seen = new Set();
+  const queue = [...bridgingHeaders];
+  while (queue.length > 0) {
+    const header = queue.pop();
+    if (seen.has(header)) continue;
+    seen.add(header);
+    let text;
+    try {
+      text = await fs.readFile(header, 'utf-8');
+    } catch {
+      continue;
+    }
+    for (const [, imported] of text.matchAll(/^\s*#\s*(?:import|include)\s*[<"]([^>"]+)[>"]/gm)) {
+      const relative = path.resolve(path.dirname(header), imported);
+      const found = headers.has(relative) ? relative : byFileName.get(path.basename(imported));
+      if (found) queue.push(found);
+    }
+  }
+  return seen;
+}
+
+// Spelling -> the other language's spellings, for declarations whose Swift and Objective-C
+// names differ: NS_SWIFT_NAME and imported selectors in headers Swift sees (`exposed`,
+// null for all of them), @objc(Name) and selectors of exposed Swift methods
+function buildBridgingNames(files, exposed) {
+  const names = {};
+  const link = (from, to) => {
+    if (!names[from]) names[from] = [];
+    if (!names[from].includes(to)) names[from].push(to);
+  };
+  for (const [filePath, fileData] of Object.entries(files)) {
+    if (fileData.language === 'objc' && (!filePath.endsWith('.h') || (exposed && !exposed.has(filePath)))) continue;
+    const memberLists = [...Object.values(fileData.memberData || {}), ...fileData.symbols.extensions.map(ext => ext.members || {})];
+    const declarations = [
+      ...Object.values(fileData.symbols).flat(),
+      ...memberLists.flatMap(members => [...members.properties || [], ...members.methods || [], ...members.initializers || []]),
+    ];
+    for (const d of declarations) {
+      const other = bridgedSpelling(d);
+      if (!other) continue;
+      link(d.name, other);
+      link(other, d.name);
+    }
+  }
+  return names;
+}
+
+// Bridging headers, the headers they expose and the name table, for indexes.bridging
+async function buildBridging(files, sourcePaths, xcodeProjects, root = repoPath) {
+  const headers = findBridgingHeaders(sourcePaths, xcodeProjects);
+  const exposed = await exposedHeaders(headers, sourcePaths);
+  return { headers: headers.map(header => getRelativePath(header, root)), exposed: exposed ? exposed.size - headers.length : null, names: buildBridgingNames(files, exposed) };
+}
+
+// The name a declaration has in the other language when it reads differently:
+// `fetchUserWithID:completion:` -> `fetchUser(withID:completion:)`, but not `reload` -> `reload()`
+function bridgedSpelling(declaration) {
+  const other = declaration.swiftName || declaration.objcName;
+  if (!other || other === declaration.name || other === `${declaration.name}()` || `${other}()` === declaration.name) return undefined;
+  return other;
+}
+
+// Other-language spellings of a name, looked up as given and by its last component
+// (`Client.fetchUser(withID:)` -> `fetchUser(withID:)`)
+function bridgedNames(name) {
+  const names = astData?.indexes?.bridging?.names;
+  if (!names) return [];
+  const bare = name.split('@')[0];
+  const head = bare.split('(')[0];
+  return names[bare] || names[bare.slice(head.lastIndexOf('.') + 1)] || [];
+}
+
+// Reference index keys for every spelling of a name, the name's own first
+function referenceKeys(name) {
+  return [...new Set([name, ...bridgedNames(name)].map(referenceKey))];
+}
+
+// ============== HELPER: REFERENCE INDEX ==============
+
+// The bare identifier a symbol is written as at use sites:
+// `fetch(id:)` -> `fetch`, `fetchUserWithID:completion:` -> `fetchUserWithID`,
+// `Outer.State` -> `State`, `Coordinator@Login/Coordinator.swift` -> `Coordinator`
+function referenceKey(name) {
+  return name.split('@')[0].split(/[(:]/)[0].split('.').pop();
+}
+
+// UTF-8 byte length of a UTF-16 code unit (surrogate pairs count 4 in total)
+function utf8Length(code) {
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  if (code >= 0xD800 && code <= 0xDBFF) return 4;
+  if (code >= 0xDC00 && code <= 0xDFFF) return 0;
+  return 3;
+}
+
+// Calls onIdentifier(name, line, column, byteOffset) for every identifier in
+// Swift or Objective-C source, skipping comments, string and character literals
+function scanIdentifiers(text, language, onIdentifier) {
+  let i = 0, line = 1, column = 1, byte = 0;
+  const isIdentStart = (c) => /[A-Za-z_$]/.test(c);
+  const isIdentPart = (c) => /[A-Za-z0-9_$]/.test(c);
+
+  const advance = () => {
+    const code = text.charCodeAt(i);
+    if (code === 10) {
+      line++;
+      column = 1;
+    } else {
+      column++;
+    }
+    byte += utf8Length(code);
+    i++;
+  };
+
+  while (i < text.length) {
+    const c = text[i];
+    const next = text[i + 1];
+
+    if (c === '/' && next === '/') {
+      while (i < text.length && text[i] !== '\n') advance();
+    } else if (c === '/' && next === '*') {
+      // Swift block comments nest
+      let depth = 0;
+      do {
+        if (text[i] === '/' && text[i + 1] === '*') { depth++; advance(); }
+        else if (text[i] === '*' && text[i + 1] === '/') { depth--; advance(); }
+        advance();
+      } while (i < text.length && depth > 0);
+    } else if (c === '"' && language === 'swift' && text.startsWith('"""', i)) {
+      advance(); advance(); advance();
+      while (i < text.length && !text.startsWith('"""', i)) {
+        if (text[i] === '\\') advance();
+        advance();
+      }
+      advance(); advance(); advance();
+    } else if (c === '"' || (c === "'" && language === 'objc')) {
+      advance();
+      while (i < text.length && text[i] !== c && text[i] !== '\n') {
+        if (text[i] === '\\') advance();
+        advance();
+      }
+      advance();
+    } else if (/[0-9]/.test(c)) {
+      while (i < text.length && isIdentPart(text[i])) advance();
+    } else if (isIdentStart(c)) {
+      const startLine = line, startColumn = column, startByte = byte, start = i;
+      while (i < text.length && isIdentPart(text[i])) advance();
+      onIdentifier(text.slice(start, i), startLine, startColumn, startByte);
+    } else {
+      advance();
+    }
+  }
+}
+
+// Identifiers the reference index tracks: every type plus every function's base name, and
+// both spellings of bridged names that are written differently (`fetchUserWithID`, `fetchUser`)
+function collectReferenceNames(files, typeMap, bridging) {
+  const known = new Set(Object.values(typeMap).map(info => info.symbol.name));
+  for (const fileData of Object.values(files)) {
+    for (const f of fileData.symbols.functions) known.add(referenceKey(f.name));
+  }
+  for (const [name, others] of Object.entries(bridging?.names || {})) {
+    const keys = new Set([name, ...others].map(referenceKey));
+    if (keys.size > 1) for (const key of keys) known.add(key);
+  }
+  return known;
+}
+
+// Builds identifier -> [{ file, line, column, isDeclaration }] for every known
+// type and function name across the given source files
+async function buildReferenceIndex(files, typeMap, sourcePaths, bridging, { root = repoPath, config = projectConfig } = {}) {
+  const known = collectReferenceNames(files, typeMap, bridging);
+
+  const references = {};
+  for (const filePath of sourcePaths) {
+    let text;
+    try {
+      text = await fs.readFile(filePath, 'utf-8');
+    } catch {
+      continue;
+    }
+
+    // Name offsets of declarations in this file, so they aren't counted as uses.
+    // Clang's loc.offset already points at the name for Objective-C symbols.
+    const declarations = new Set();
+    const fileData = files[filePath];
+    for (const [listName, list] of Object.entries(fileData?.symbols || {})) {
+      if (listName === 'extensions') continue;
+      for (const s of list) {
+        const nameOffset = fileData.language === 'objc' ? s.offset : s.nameOffset;
+        if (nameOffset !== undefined) declarations.add(`${referenceKey(s.name)}@${nameOffset}`);
+      }
+    }
+
+    const rel = getRelativePath(filePath, root);
+    const language = isSwiftSource(filePath, config) ? 'swift' : 'objc';
+    scanIdentifiers(text, language, (name, line, column, byteOffset) => {
+      if (!known.has(name)) return;
+      if (!references[name]) references[name] = [];
+      const ref = { file: rel, line, column };
+      if (declarations.has(`${name}@${byteOffset}`)) ref.isDeclaration = true;
+      references[name].push(ref);
+    });
+  }
+
+  return references;
+}
+
+// Use sites of a symbol under any of its spellings, excluding its declarations.
+// Returns null when the loaded AST predates the reference index.
+function findReferences(symbolName, { includeDeclarations = false } = {}) {
+  const references = astData?.indexes?.references;
+  if (!references) return null;
+  const keys = referenceKeys(symbolName);
+  const refs = keys.flatMap(key => references[key] || []).filter(ref => includeDeclarations || !ref.isDeclaration);
+  if (keys.length > 1) refs.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column);
+  return refs;
+}
+
+// ============== HELPER: TYPE MEMBERS ==============
+
+// Extensions and categories of a type across all files, including the declaring
+// file. A category seen again through #import is listed once, from its header.
+// Types outside the index (symbolKey null) are matched by the extended name.
+function findExtensions(symbolKey, symbolName) {
+  const extensions = [];
+  for (const [filePath, fd] of Object.entries(astData.files || {})) {
+    for (const ext of fd.symbols?.extensions || []) {
+      if (ext.key ? ext.key !== symbolKey : (ext.extendedType || ext.name) !== symbolName) continue;
+      const entry = { ...ext, file: getRelativePath(filePath) };
+      const isCategory = ext.name !== (ext.extendedType || ext.name);
+      const seen = isCategory ? extensions.findIndex(e => e.name === ext.name) : -1;
+      if (seen === -1) extensions.push(entry);
+      else if (entry.file.endsWith('.h') && !extensions[seen].file.endsWith('.h')) extensions[seen] = entry;
+    }
+  }
+  return extensions;
+}
+
+// Where an extension lives: its file, or "User(Networking) in File.m" for a named category
+function extensionLabel(ext) {
+  return ext.name !== (ext.extendedType || ext.name) ? `${ext.name} in ${ext.file}` : ext.file;
+}
+
+// Members declared in a type's own body
+function declaredMembers(symbol) {
+  const fileData = astData.files?.[path.join(repoPath, symbol.file)];
+  return fileData?.memberData?.[symbol.qualifiedName || symbol.name] ||
+    fileData?.memberData?.[symbol.name] ||
+    { properties: [], methods: [], initializers: [] };
+}
+
+// A type's own members plus those its extensions add, the latter noted with `from`
+function mergedMembers(symbol, extensions) {
+  const members = declaredMembers(symbol);
+  const merged = { properties: [...members.properties], methods: [...members.methods], initializers: [...members.initializers] };
+  for (const ext of extensions) {
+    for (const list of Object.keys(merged)) {
+      for (const m of ext.members?.[list] || []) merged[list].push({ ...m, from: extensionLabel(ext) });
+    }
+  }
+  return merged;
+}
+
+// ============== HELPER: CONFORMANCE AUDIT ==============
+
+const REQUIREMENT_LISTS = [['properties', 'property'], ['methods', 'method'], ['initializers', 'initializer']];
+
+// A type map entry as the symbol shape the other helpers take
+function typeSymbol(key) {
+  const info = astData.dependencyGraph?.typeMap?.[key];
+  return info ? { ...info.symbol, file: info.file, symbolKind: info.kind } : null;
+}
+
+// The protocol plus every protocol it inherits from, in the index
+function protocolAncestry(protocolKey) {
+  const lookup = typeLookup(astData.dependencyGraph?.typeMap || {}, astData.files || {});
+  const chain = [];
+  const visit = (key) => {
+    const symbol = typeSymbol(key);
+    if (!symbol || symbol.symbolKind !== 'protocol' || chain.includes(key)) return;
+    chain.push(key);
+    const fileData = astData.files?.[path.join(repoPath, symbol.file)];
+    for (const parent of symbol.inheritedTypes || []) {
+      const parentKey = resolveTypeKey(parent, { rel: symbol.file, fileData, scope: symbol.qualifiedName || symbol.name }, lookup);
+      if (parentKey) visit(parentKey);
+    }
+  };
+  visit(protocolKey);
+  return chain;
+}
+
+// Requirements of a protocol and its ancestors, each with the default
+// implementation a protocol extension provides for it, if any
+function protocolRequirements(protocolKey) {
+  const ancestry = protocolAncestry(protocolKey);
+
+  // Members of extensions on the protocol or its ancestors act as defaults
+  const defaults = new Map();
+  for (const key of ancestry) {
+    const symbol = typeSymbol(key);
+    for (const ext of findExtensions(key, symbol.name)) {
+      for (const [list] of REQUIREMENT_LISTS) {
+        for (const m of ext.members?.[list] || []) {
+          if (!defaults.has(m.name)) defaults.set(m.name, extensionLabel(ext));
+        }
+      }
+    }
+  }
+
+  const requirements = [];
+  for (const key of ancestry) {
+    const members = declaredMembers(typeSymbol(key));
+    for (const [list, kind] of REQUIREMENT_LISTS) {
+      for (const m of members[list] || []) {
+        if (requirements.some(r => r.name === m.name && r.kind === kind)) continue;
+        requirements.push({
+          name: m.name,
+          kind,
+          protocol: key,
+          optional: (m.attributes || []).includes('optional'),
+          defaultIn: defaults.get(m.name) || null,
+        });
+      }
+    }
+  }
+  return requirements;
+}
+
+// Member names a type provides: its body, its extensions and categories,
+// and what it inherits from superclasses in the index
+function implementedMemberNames(typeKey) {
+  const typeMap = astData.dependencyGraph?.typeMap || {};
+  const edges = astData.dependencyGraph?.edges || [];
+  const names = new Map();  // name -> superclass key it comes from, or null
+
+  let current = typeKey;
+  const visited = new Set();
+  while (current && !visited.has(current)) {
+    visited.add(current);
+    const symbol = typeSymbol(current);
+    const members = symbol
+      ? mergedMembers(symbol, findExtensions(current, symbol.name))
+      : mergedMembers({ name: current, file: '' }, findExtensions(null, current));
+    for (const [list] of REQUIREMENT_LISTS) {
+      for (const m of members[list]) {
+        if (!names.has(m.name)) names.set(m.name, current === typeKey ? null : current);
+      }
+    }
+    current = edges.find(e => e.fromSymbol === current && isInheritanceEdge(e) && typeMap[e.toSymbol]?.kind === 'class')?.toSymbol;
+  }
+  return names;
+}
+
+// Checks every type that declares conformance to the protocol (on the type
+// itself, in an extension or in a category) against its requirements
+function auditProtocol(protocolKey) {
+  const requirements = protocolRequirements(protocolKey);
+  const typeMap = astData.dependencyGraph?.typeMap || {};
+
+  const lookup = typeLookup(typeMap, astData.files || {});
+  const declares = (decl, file) => (decl.inheritedTypes || []).some(t =>
+    resolveTypeKey(t, { rel: file, fileData: lookup.fileDataOf(file), scope: decl.qualifiedName || decl.name }, lookup) === protocolKey);
+
+  const conformers = new Map();
+  for (const edge of astData.dependencyGraph?.edges || []) {
+    if (edge.toSymbol !== protocolKey || !isInheritanceEdge(edge) || conformers.has(edge.fromSymbol)) continue;
+    const info = typeMap[edge.fromSymbol];
+    // A protocol refining this one isn't a conformer
+    if (info?.kind === 'protocol') continue;
+    // Conformance declared by an extension or category rather than the type itself
+    let via = null;
+    if (!info || !declares(info.symbol, info.file)) {
+      const ext = findExtensions(info ? edge.fromSymbol : null, edge.fromSymbol).find(e => declares(e, e.file));
+      via = ext ? extensionLabel(ext) : edge.from;
+    }
+    conformers.set(edge.fromSymbol, {
+      key: edge.fromSymbol,
+      kind: info?.kind || 'external type',
+      file: info?.file || edge.from,
+      via,
+    });
+  }
+
+  const results = [];
+  for (const conformer of conformers.values()) {
+    const implemented = implementedMemberNames(conformer.key);
+    const missing = [], defaulted = [], inherited = [];
+    for (const req of requirements) {
+      // Names span all member lists, so an Objective-C getter method meets a property requirement
+      if (implemented.has(req.name)) {
+        const from = implemented.get(req.name);
+        if (from) inherited.push(`${req.name} (${from})`);
+      } else if (req.defaultIn) {
+        defaulted.push(req.name);
+      } else if (!req.optional) {
+        missing.push(req);
+      }
+    }
+    results.push({ ...conformer, missing, defaulted, inherited });
+  }
+
+  results.sort((a, b) => b.missing.length - a.missing.length || a.key.localeCompare(b.key));
+  return { requirements, conformers: results };
+}
+
+// One conformer's audit lines for the check_conformances report
+function formatConformer(c, indent) {
+  const icon = c.missing.length > 0 ? '❌' : '✅';
+  let text = `${indent}${icon} ${c.key} (${c.kind}) in ${c.file}${c.via ? ` ↳ via extension ${c.via}` : ''}\n`;
+  if (c.missing.length > 0) {
+    const hint = (req) => req.kind === 'initializer' && c.kind === 'struct' ? ' (may be the memberwise init)' : '';
+    text += `${indent}   Missing: ${c.missing.map(req => `${req.name}${hint(req)}`).join(', ')}\n`;
+  }
+  if (c.defaulted.length > 0) text += `${indent}   Default: ${c.defaulted.join(', ')}\n`;
+  if (c.inherited.length > 0) text += `${indent}   Inherited: ${c.inherited.join(', ')}\n`;
+  return text;
+}
+
+// ============== HELPER: UNUSED SYMBOLS ==============
+
+// Attributes that expose a declaration to the runtime, Interface Builder or the system
+const ENTRY_POINT_ATTRIBUTES = new Set(['main', 'uiapplicationmain', 'nsapplicationmain', 'objc', 'ibaction', 'iboutlet', 'ibinspectable', 'ibsegueaction', 'nsmanaged']);
+// Type names and conformances the system instantiates or calls into
+const ENTRY_POINT_TYPE_NAMES = /(AppDelegate|SceneDelegate)$/;
+const ENTRY_POINT_CONFORMANCES = new Set(['UIApplicationDelegate', 'UIWindowSceneDelegate', 'NSApplicationDelegate', 'WKApplicationDelegate', 'App', 'PreviewProvider', 'XCTestCase']);
+// External protocols whose method requirements are called by the framework, not our code
+const FRAMEWORK_CALLED_PROTOCOLS = /(Delegate|DataSource|Representable)$|^(Hashable|Encodable|Codable|NSCoding|NSSecureCoding|NSCopying|Sequence|IteratorProtocol|Comparable)$/;
+
+const hasEntryPointAttribute = (s) => (s.attributes || []).some(a => ENTRY_POINT_ATTRIBUTES.has(a.replace(/^_+/, '').toLowerCase()));
+
+// Whether a type is started or called by the system rather than by our code:
+// @main types, app/scene delegates, previews and XCTest cases (also through
+// superclasses in the index)
+function isEntryPointType(key) {
+  const typeMap = astData.dependencyGraph?.typeMap || {};
+  const edges = astData.dependencyGraph?.edges || [];
+  const visited = new Set();
+  let current = key;
+  while (current && typeMap[current] && !visited.has(current)) {
+    visited.add(current);
+    const symbol = typeMap[current].symbol;
+    if (hasEntryPointAttribute(symbol) || ENTRY_POINT_TYPE_NAMES.test(symbol.name)) return true;
+    const conformances = [...(symbol.inheritedTypes || []), ...findExtensions(current, symbol.name).flatMap(e => e.inheritedTypes || [])];
+    if (conformances.some(t => ENTRY_POINT_CONFORMANCES.has(t.replace(/^\w+\./, '')))) return true;
+    current = edges.find(e => e.fromSymbol === current && isInheritanceEdge(e) && typeMap[e.toSymbol]?.kind === 'class')?.toSymbol;
+  }
+  return false;
+}
+
+// Conformances of a type to protocols outside the index, following the in-repo
+// protocols it adopts (or, for a protocol, refines) up to the external ones
+function externalConformances(key, lookup) {
+  const typeMap = astData.dependencyGraph?.typeMap || {};
+  const external = new Set();
+  const visited = new Set();
+  const visit = (current) => {
+    if (visited.has(current) || !typeMap[current]) return;
+    visited.add(current);
+    const { symbol, file } = typeMap[current];
+    const fileData = astData.files?.[path.join(repoPath, file)];
+    const written = [...(symbol.inheritedTypes || []), ...findExtensions(current, symbol.name).flatMap(e => e.inheritedTypes || [])];
+    for (const t of written) {
+      const resolved = resolveTypeKey(t, { rel: file, fileData, scope: symbol.qualifiedName || symbol.name }, lookup);
+      if (!resolved) external.add(t.replace(/^\w+\./, ''));
+      else if (typeMap[resolved].kind === 'protocol') visit(resolved);
+    }
+  };
+  visit(key);
+  return [...external];
+}
+
+// Where a member function is declared: "protocol Describable" for a requirement,
+// "extension Describable" for a member added by an extension, else "struct Circle"
+function functionContainer(fn, rel, parentKey) {
+  const info = astData.dependencyGraph?.typeMap?.[parentKey];
+  if (!info) return undefined;
+  const within = (span) => span.file === rel && span.offset !== undefined &&
+    fn.offset >= span.offset && fn.offset < span.offset + (span.length || 0);
+  const extension = findExtensions(parentKey, info.symbol.name).find(within);
+  if (extension) return { label: `extension ${info.symbol.name}`, extension };
+  return { label: `${info.kind} ${info.symbol.name}` };
+}
+
+// Returns lineOf(rel, byteOffset) -> 1-based line, reading each file once
+function createLineLocator() {
+  const newlinesByFile = new Map();
+  return async (rel, byteOffset) => {
+    if (!newlinesByFile.has(rel)) {
+      const newlines = [];
+      try {
+        const buffer = await fs.readFile(path.join(repoPath, rel));
+        for (let i = 0; i < buffer.length; i++) if (buffer[i] === 10) newlines.push(i);
+      } catch {
+        // deleted since indexing; every offset maps to line 1
+      }
+      newlinesByFile.set(rel, newlines);
+    }
+    const newlines = newlinesByFile.get(rel);
+    let lo = 0, hi = newlines.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (newlines[mid] < byteOffset) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo + 1;
+  };
+}
+
+// Whether any reference falls outside the given declaration spans
+// ({ file, offset, length }, or { file } for a whole file)
+async function hasOutsideReference(refs, spans, lineOf) {
+  for (const ref of refs) {
+    let inside = false;
+    for (const span of spans) {
+      if (span.file !== ref.file) continue;
+      if (span.offset === undefined) { inside = true; break; }
+      const start = await lineOf(span.file, span.offset);
+      const end = await lineOf(span.file, span.offset + (span.length || 0));
+      if (ref.line >= start && ref.line <= end) { inside = true; break; }
+    }
+    if (!inside) return true;
+  }
+  return false;
+}
+
+// ============== HELPER: DEPENDENCY WALK ==============
+
+// Walks dependencyGraph.edges backwards from the seed types and returns every
+// dependent with the hop distance at which it was first reached. With a target,
+// only edges leaving files of that Xcode target or package module are followed.
+function collectDependents(seeds, maxDepth = Infinity, { target } = {}) {
+  const dependentsOf = new Map();
+  for (const edge of astData.dependencyGraph?.edges || []) {
+    if (target && !fileInTarget(astData.files[path.join(repoPath, edge.from)], target)) continue;
+    if (!dependentsOf.has(edge.toSymbol)) dependentsOf.set(edge.toSymbol, []);
+    dependentsOf.get(edge.toSymbol).push(edge);
+  }
+
+  const seedSet = new Set(seeds);
+  const reached = new Map();  // name -> { name, depth, via, files }
+  let frontier = [...seedSet];
+  let depth = 0;
+
+  while (frontier.length > 0 && depth < maxDepth) {
+    depth++;
+    const next = [];
+    for (const name of frontier) {
+      for (const edge of dependentsOf.get(name) || []) {
+        if (seedSet.has(edge.fromSymbol)) continue;
+        const existing = reached.get(edge.fromSymbol);
+        if (existing) {
+          if (existing.depth === depth) existing.files.add(edge.from);
+          continue;
+        }
+        reached.set(edge.fromSymbol, { name: edge.fromSymbol, depth, via: name, files: new Set([edge.from]) });
+        next.push(edge.fromSymbol);
+      }
+    }
+    frontier = next;
+  }
+
+  return [...reached.values()].map(d => ({ ...d, files: [...d.files] }));
+}
+
+// Thresholds for the computed risk level of changing a symbol
+const RISK_HIGH_DEPENDENTS = 10;
+const RISK_HIGH_PUBLIC_FAN_IN = 3;
+const RISK_MEDIUM_DEPENDENTS = 3;
+
+// Rates how risky it is to change a symbol from its fan-in, reach and visibility
+function assessRisk({ fanIn, dependentCount, fileCount, accessibility }) {
+  const isPublic = accessibility === 'public' || accessibility === 'open';
+  const reasons = [];
+
+  reasons.push(`${fanIn} direct dependent${fanIn === 1 ? '' : 's'}`);
+  reasons.push(`${dependentCount} total dependent${dependentCount === 1 ? '' : 's'} across ${fileCount} file${fileCount === 1 ? '' : 's'}`);
+  if (isPublic) reasons.push(`${accessibility} API`);
+
+  let level = 'Low';
+  if (dependentCount >= RISK_HIGH_DEPENDENTS || fileCount >= RISK_HIGH_DEPENDENTS || (isPublic && fanIn >= RISK_HIGH_PUBLIC_FAN_IN)) {
+    level = 'High';
+  } else if (dependentCount >= RISK_MEDIUM_DEPENDENTS || isPublic) {
+    level = 'Medium';
+  }
+
+  return { level, reasons };
+}
+
+// ============== HELPER: GRAPH EXPORT ==============
+
+// The dependency graph at type or file level: nodes by id ({ id, label, kind, file })
+// and edges ({ from, to, links }) where links lists the symbol pairs behind the edge.
+// With a root, keeps only what is within `depth` hops of it in the given direction.
+function selectGraph({ level = 'type', root, depth = 2, direction = 'both', directory, kind }) {
+  const typeMap = astData.dependencyGraph?.typeMap || {};
+  const dirPrefix = directory ? directory.replace(/^\.?\/+|\/+$/g, '') + '/' : null;
+
+  const typeNode = (key) => {
+    const info = typeMap[key];
+    return info ? { id: key, label: key, kind: info.kind, file: info.file } : { id: key, label: key, kind: 'external' };
+  };
+  const fileNode = (rel) => ({ id: rel, label: rel, kind: 'file', file: rel });
+  // The root symbol stays in even when the filters would leave it out, so its neighbours can be reached
+  const keep = (node) => node.id === root || ((!kind || node.kind === kind) && (!dirPrefix || (node.file || '').startsWith(dirPrefix)));
+
+  const nodes = new Map();
+  const edgesById = new Map();
+  for (const edge of astData.dependencyGraph?.edges || []) {
+    const fromType = typeNode(edge.fromSymbol);
+    const toType = typeNode(edge.toSymbol);
+    if (!keep(fromType) || !keep(toType)) continue;
+    const from = level === 'file' ? fileNode(edge.from) : fromType;
+    const to = level === 'file' ? fileNode(edge.to) : toType;
+    if (from.id === to.id) continue;
+
+    nodes.set(from.id, from);
+    nodes.set(to.id, to);
+    const id = `${from.id}\u0000${to.id}`;
+    if (!edgesById.has(id)) edgesById.set(id, { from: from.id, to: to.id, links: [] });
+    edgesById.get(id).links.push({ fromSymbol: edge.fromSymbol, toSymbol: edge.toSymbol, relationship: edge.relationship });
+  }
+  let edges = [...edgesById.values()];
+
+  if (root) {
+    const rootNode = level === 'file' ? fileNode(typeMap[root]?.file || root) : typeNode(root);
+    const reached = new Set([rootNode.id]);
+    let frontier = [rootNode.id];
+    for (let hop = 0; hop < depth && frontier.length > 0; hop++) {
+      const current = new Set(frontier);
+      const next = [];
+      for (const edge of edges) {
+        const pairs = [];
+        if (direction !== 'dependents') pairs.push([edge.from, edge.to]);
+        if (direction !== 'dependencies') pairs.push([edge.to, edge.from]);
+        for (const [here, there] of pairs) {
+          if (current.has(here) && !reached.has(there)) {
+            reached.add(there);
+            next.push(there);
+          }
+        }
+      }
+      frontier = next;
+    }
+    nodes.set(rootNode.id, nodes.get(rootNode.id) || rootNode);
+    for (const id of nodes.keys()) if (!reached.has(id)) nodes.delete(id);
+    edges = edges.filter(e => reached.has(e.from) && reached.has(e.to));
+  }
+
+  return { nodes, edges };
+}
+
+// Edge label: its relationships, plus the number of symbol pairs when there are more
+function edgeLabel(edge) {
+  const relationships = [...new Set(edge.links.map(l => l.relationship).filter(Boolean))];
+  const count = edge.links.length > Math.max(relationships.length, 1) ? `${edge.links.length}` : '';
+  return [relationships.join(', '), count && relationships.length > 0 ? `(${count})` : count].filter(Boolean).join(' ');
+}
+
+// Composition-only edges are drawn dashed
+const isCompositionEdge = (edge) => edge.links.every(l => !isInheritanceEdge(l));
+
+const DOT_SHAPES = {
+  class: 'shape=box',
+  struct: 'shape=box, style=rounded',
+  protocol: 'shape=ellipse',
+  enum: 'shape=hexagon',
+  external: 'shape=box, style=dashed',
+  file: 'shape=note',
+};
+
+function renderDot({ nodes, edges }) {
+  const quote = (s) => `"${String(s).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  const lines = ['digraph dependencies {', '  rankdir=LR;'];
+  for (const node of nodes.values()) {
+    lines.push(`  ${quote(node.id)} [label=${quote(node.label)}, ${DOT_SHAPES[node.kind] || DOT_SHAPES.class}];`);
+  }
+  for (const edge of edges) {
+    const attributes = [];
+    if (edgeLabel(edge)) attributes.push(`label=${quote(edgeLabel(edge))}`);
+    if (isCompositionEdge(edge)) attributes.push('style=dashed');
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)}${attributes.length > 0 ? ` [${attributes.join(', ')}]` : ''};`);
+  }
+  lines.push('}');
+  return lines.join('\n');
+}
+
+// Mermaid node shapes by kind: [open, close] around the quoted label
+const MERMAID_SHAPES = {
+  class: ['[', ']'],
+  struct: ['(', ')'],
+  protocol: ['([', '])'],
+  enum: ['{{', '}}'],
+  external: ['>', ']'],
+  file: ['[', ']'],
+};
+
+function renderMermaid({ nodes, edges }) {
+  const ids = new Map([...nodes.keys()].map((id, i) => [id, `n${i}`]));
+  const lines = ['flowchart LR'];
+  for (const node of nodes.values()) {
+    const [open, close] = MERMAID_SHAPES[node.kind] || MERMAID_SHAPES.class;
+    lines.push(`  ${ids.get(node.id)}${open}"${node.label.replace(/"/g, '#quot;')}"${close}`);
+  }
+  for (const edge of edges) {
+    const label = edgeLabel(edge);
+    lines.push(`  ${ids.get(edge.from)} ${isCompositionEdge(edge) ? '-.->' : '-->'}${label ? `|${label}|` : ''} ${ids.get(edge.to)}`);
+  }
+  return lines.join('\n');
+}
+
+function renderGraphML({ nodes, edges }) {
+  const xml = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const ids = new Map([...nodes.keys()].map((id, i) => [id, `n${i}`]));
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+    '  <key id="kind" for="node" attr.name="kind" attr.type="string"/>',
+    '  <key id="file" for="node" attr.name="file" attr.type="string"/>',
+    '  <key id="links" for="edge" attr.name="links" attr.type="int"/>',
+    '  <key id="relationship" for="edge" attr.name="relationship" attr.type="string"/>',
+    '  <graph id="dependencies" edgedefault="directed">',
+  ];
+  for (const node of nodes.values()) {
+    lines.push(`    <node id="${ids.get(node.id)}">`);
+    lines.push(`      <data key="label">${xml(node.label)}</data>`);
+    lines.push(`      <data key="kind">${xml(node.kind)}</data>`);
+    if (node.file) lines.push(`      <data key="file">${xml(node.file)}</data>`);
+    lines.push('    </node>');
+  }
+  for (const edge of edges) {
+    const relationships = [...new Set(edge.links.map(l => l.relationship).filter(Boolean))].join(' ');
+    const relationshipData = relationships ? `<data key="relationship">${relationships}</data>` : '';
+    lines.push(`    <edge source="${ids.get(edge.from)}" target="${ids.get(edge.to)}"><data key="links">${edge.links.length}</data>${relationshipData}</edge>`);
+  }
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n');
+}
+
+// ============== HELPER: CYCLES ==============
+
+// Strongly connected components with more than one node (Tarjan's algorithm,
+// iterative so deep graphs don't overflow the stack). successors: id -> Set of ids
+function findStronglyConnected(successors) {
+  const index = new Map();
+  const lowlink = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let counter = 0;
+
+  for (const start of successors.keys()) {
+    if (index.has(start)) continue;
+    const work = [{ node: start, children: [...(successors.get(start) || [])], next: 0 }];
+    index.set(start, counter);
+    lowlink.set(start, counter++);
+    stack.push(start);
+    onStack.add(start);
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      if (frame.next < frame.children.length) {
+        const child = frame.children[frame.next++];
+        if (!index.has(child)) {
+          index.set(child, counter);
+          lowlink.set(child, counter++);
+          stack.push(child);
+          onStack.add(child);
+          work.push({ node: child, children: [...(successors.get(child) || [])], next: 0 });
+        } else if (onStack.has(child)) {
+          lowlink.set(frame.node, Math.min(lowlink.get(frame.node), index.get(child)));
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1].node;
+        lowlink.set(parent, Math.min(lowlink.get(parent), lowlink.get(frame.node)));
+      }
+      if (lowlink.get(frame.node) === index.get(frame.node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== frame.node);
+        if (component.length > 1) components.push(component);
+      }
+    }
+  }
+
+  return components;
+}
+
+// Dependency cycles between files, directories or modules, largest first. Each
+// cycle lists its members and the links between them with the symbol pairs behind each.
+function findDependencyCycles(level = 'file') {
+  const groupOf = (rel) => {
+    if (level === 'directory') return path.dirname(rel);
+    if (level === 'module') return unitsOf(astData.files?.[path.join(repoPath, rel)])[0] || null;
+    return rel;
+  };
+
+  const successors = new Map();
+  const links = new Map();  // "from\0to" -> { from, to, pairs }
+  for (const edge of astData.dependencyGraph?.edges || []) {
+    const from = groupOf(edge.from);
+    const to = groupOf(edge.to);
+    if (!from || !to || from === to) continue;
+    if (!successors.has(from)) successors.set(from, new Set());
+    if (!successors.has(to)) successors.set(to, new Set());
+    successors.get(from).add(to);
+    const id = `${from}\u0000${to}`;
+    if (!links.has(id)) links.set(id, { from, to, pairs: [] });
+    links.get(id).pairs.push({ fromSymbol: edge.fromSymbol, toSymbol: edge.toSymbol, relationship: edge.relationship });
+  }
+
+  return findStronglyConnected(successors)
+    .map(members => {
+      const inCycle = new Set(members);
+      return {
+        members: members.sort(),
+        links: [...links.values()].filter(l => inCycle.has(l.from) && inCycle.has(l.to)),
+      };
+    })
+    .sort((a, b) => b.members.length - a.members.length || b.links.length - a.links.length);
+}
+
+// ============== HELPER: SEARCH ==============
+
+// Words of an identifier for camel-hump matching: UserViewModel -> User, View, Model;
+// URLSessionTask -> URL, Session, Task; user_id -> user, id
+function identifierWords(name) {
+  return name.match(/[A-Z]+(?![a-z])|[A-Z]?[a-z]+|[0-9]+/g) || [];
+}
+
+// True when the query spells out word prefixes in order, skipping words as
+// needed: "UVM", "uvm" and "UsViMo" all match UserViewModel
+function matchesCamelHump(words, query, { fromFirstWord = false } = {}) {
+  const q = query.toLowerCase();
+  const memo = new Map();
+  const match = (qi, wi) => {
+    if (qi === q.length) return true;
+    const id = qi * 1000 + wi;
+    if (memo.has(id)) return memo.get(id);
+    let found = false;
+    for (let j = wi; j < words.length && !found; j++) {
+      const word = words[j].toLowerCase();
+      for (let k = Math.min(word.length, q.length - qi); k > 0 && !found; k--) {
+        if (word.startsWith(q.slice(qi, qi + k))) found = match(qi + k, j + 1);
+      }
+      if (fromFirstWord && qi === 0) break;
+    }
+    memo.set(id, found);
+    return found;
+  };
+  return match(0, 0);
+}
+
+// Relevance of a symbol name to a query, highest first: exact, prefix,
+// camel-hump, substring at a word start, any substring. 0 means no match.
+// `pattern` is the compiled RegExp in regex mode.
+function matchScore(name, query, { match = 'fuzzy', pattern } = {}) {
+  // Functions are matched on their base name, without the argument labels
+  const base = name.replace(/\(.*$/, '');
+  if (match === 'regex') {
+    const m = pattern.exec(name);
+    if (!m) return 0;
+    if (m[0] === name || m[0] === base) return 100;
+    return m.index === 0 ? 80 : 40;
+  }
+  if (!query) return 1;
+
+  const lowerBase = base.toLowerCase();
+  const q = query.toLowerCase();
+  if (base === query) return 100;
+  if (lowerBase === q) return 95;
+  if (lowerBase.startsWith(q)) return 80;
+
+  const words = identifierWords(base);
+  if (match === 'fuzzy' && query.length > 1 && matchesCamelHump(words, query)) {
+    return matchesCamelHump(words, query, { fromFirstWord: true }) ? 60 : 55;
+  }
+  const at = name.toLowerCase().indexOf(q);
+  if (at < 0) return 0;
+  let offset = 0;
+  const startsWord = words.some(w => {
+    const i = lowerBase.indexOf(w.toLowerCase(), offset);
+    offset = i + w.length;
+    return i === at;
+  });
+  return startsWord ? 50 : 40;
+}
+
+// Path glob as a RegExp over repo-relative paths: ** spans directories, * and ?
+// stay within one segment, {a,b} is alternation. A pattern without a slash
+// matches in any directory and a trailing slash matches everything below it.
+function globToRegExp(glob) {
+  let pattern = glob.replace(/^\.?\/+/, '');
+  if (pattern.endsWith('/')) pattern += '**';
+  if (!pattern.includes('/')) pattern = `**/${pattern}`;
+  let re = '';
+  let braces = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '*' && pattern[i + 1] === '*') {
+      // "**/" is zero or more directories; a bare "**" is anything
+      if (pattern[i + 2] === '/') {
+        re += '(?:.*/)?';
+        i += 2;
+      } else {
+        re += '.*';
+        i++;
+      }
+    } else if (c === '*') {
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '{') {
+      braces++;
+      re += '(?:';
+    } else if (c === '}' && braces > 0) {
+      braces--;
+      re += ')';
+    } else if (c === ',' && braces > 0) {
+      re += '|';
+    } else {
+      re += c.replace(/[.+^$()|[\]\\{}]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+// Keys of the types that inherit from or conform to `name`: on the type itself,
+// in an extension or category, or through a superclass or refined protocol in
+// the index. Names compare without module prefix or generic arguments, so
+// external types like Codable or UIViewController work too.
+function typesInheriting(name) {
+  const typeMap = astData.dependencyGraph?.typeMap || {};
+  const baseName = (t) => t.replace(/<[\s\S]*$/, '').trim().split('.').pop();
+  const want = baseName(name);
+
+  const found = new Set();
+  for (const [key, info] of Object.entries(typeMap)) {
+    const declared = [info.symbol, ...findExtensions(key, info.symbol.name)].flatMap(d => d.inheritedTypes || []);
+    if (declared.some(t => baseName(t) === want)) found.add(key);
+  }
+
+  // Walk down from the matches and from indexed types with that name
+  let frontier = [...found, ...Object.keys(typeMap).filter(key => key === name || typeMap[key].symbol.name === want)];
+  const edges = (astData.dependencyGraph?.edges || []).filter(isInheritanceEdge);
+  while (frontier.length > 0) {
+    const current = new Set(frontier);
+    frontier = [];
+    for (const edge of edges) {
+      if (current.has(edge.toSymbol) && !found.has(edge.fromSymbol)) {
+        found.add(edge.fromSymbol);
+        frontier.push(edge.fromSymbol);
+      }
+    }
+  }
+  return found;
+}
+
+// ============== HELPER: PAGINATION ==============
+
+const MAX_PAGE_SIZE = 500;
+
+// limit/offset/cursor inputs for a tool that pages through `what`
+// With textOnly the page limits the text view; structuredContent keeps every item
+const paginationInput = (defaultLimit, what, { textOnly = false } = {}) => ({
+  limit: z.number().int().min(1).max(MAX_PAGE_SIZE).optional().describe(textOnly
+    ? `Maximum ${what} shown in the text (default ${defaultLimit}); structured output always has the complete lists.`
+    : `Maximum ${what} to return (default ${defaultLimit}).`),
+  offset: z.number().int().min(0).optional().describe(`Number of ${what} to skip (default 0).`),
+  cursor: z.string().optional().describe("nextCursor from a previous call with the same arguments; continues where that page stopped. Takes precedence over offset."),
+});
+
+// A cursor is the next offset plus a fingerprint of the other arguments and
+// the index version, so it can't be replayed against a different query or a
+// refreshed index and silently skip or repeat items.
+function resolvePage({ limit, offset = 0, cursor }, defaultLimit, args) {
+  const fingerprint = createHash('sha1').update(JSON.stringify([args, astData.generatedAt])).digest('hex').slice(0, 12);
+  if (cursor) {
+    let decoded = null;
+    try {
+      decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    } catch {
+      // Reported below
+    }
+    if (!Number.isInteger(decoded?.offset) || decoded.offset < 0) {
+      return { error: `❌ Invalid cursor "${cursor}".` };
+    }
+    if (decoded.fingerprint !== fingerprint) {
+      return { error: `❌ This cursor was issued for different arguments or before the index changed. Start again without a cursor.` };
+    }
+    offset = decoded.offset;
+  }
+  const size = limit ?? defaultLimit;
+  return {
+    offset,
+    limit: size,
+    slice: (items) => items.slice(offset, offset + size),
+    // Cursor for the page after this one, or undefined once `total` items have been covered
+    nextCursor: (total) => offset + size < total
+      ? Buffer.from(JSON.stringify({ offset: offset + size, fingerprint })).toString('base64url')
+      : undefined,
+  };
+}
+
+// Where a page sits in `total` items and how to get the next one. For tools
+// that page several sections at once, `total` is the longest section.
+function pageFooter(page, total, { sections = false } = {}) {
+  const next = page.nextCursor(total);
+  if (page.offset === 0 && !next) return '';
+  const end = Math.min(page.offset + page.limit, total);
+  let text = page.offset >= total
+    ? `\n📄 Nothing past item ${total}\n`
+    : sections
+      ? `\n📄 Items ${page.offset + 1}–${end} of each section (longest has ${total})\n`
+      : `\n📄 Results ${page.offset + 1}–${end} of ${total}\n`;
+  if (next) text += `   Next page: cursor "${next}"\n`;
+  return text;
+}
+
+// Stable orders for symbol lists: ties fall through to the other keys and
+// finally to the position in the file, so pages never overlap or skip
+const byPosition = (a, b) => (a.offset ?? 0) - (b.offset ?? 0);
+const SYMBOL_ORDERS = {
+  name: (a, b) => a.name.localeCompare(b.name) || a.file.localeCompare(b.file) || a.kind.localeCompare(b.kind) || byPosition(a, b),
+  file: (a, b) => a.file.localeCompare(b.file) || byPosition(a, b) || a.name.localeCompare(b.name),
+  kind: (a, b) => a.kind.localeCompare(b.kind) || a.name.localeCompare(b.name) || a.file.localeCompare(b.file) || byPosition(a, b),
+  // Best matchScore first, then shorter names
+  relevance: (a, b) => (b.score ?? 0) - (a.score ?? 0) || a.name.length - b.name.length || SYMBOL_ORDERS.name(a, b),
+};
+
+// ============== OUTPUT SCHEMAS ==============
+
+// structuredContent shapes shared by several tools. The text stays the
+// readable, truncated view; structured output carries the complete lists
+// (explain_symbol and get_file_overview page only their text, search_symbols its results).
+const symbolSummarySchema = z.object({
+  name: z.string(),
+  qualifiedName: z.string(),
+  kind: z.string(),
+  file: z.string(),
+  key: z.string().optional(),
+  module: z.string().optional(),
+  accessibility: z.string().optional(),
+  swiftName: z.string().optional(),
+  objcName: z.string().optional(),
+});
+
+const memberSchema = z.object({
+  name: z.string(),
+  type: z.string().optional(),
+  returnType: z.string().optional(),
+  access: z.string().optional(),
+  attributes: z.array(z.string()).optional(),
+  swiftName: z.string().optional(),
+  objcName: z.string().optional(),
+  from: z.string().optional(),
+});
+
+const membersSchema = z.object({
+  properties: z.array(memberSchema),
+  methods: z.array(memberSchema),
+  initializers: z.array(memberSchema),
+});
+
+const referenceSchema = z.object({
+  file: z.string(),
+  line: z.number().int(),
+  column: z.number().int(),
+});
+
+const edgeSchema = z.object({
+  from: z.string(),
+  to: z.string(),
+  fromSymbol: z.string(),
+  toSymbol: z.string(),
+  relationship: z.string().optional(),
+  member: z.string().optional(),
+});
+
+// A type reached by walking dependency edges backwards (collectDependents)
+const dependentSchema = z.object({
+  symbol: z.string(),
+  kind: z.string(),
+  depth: z.number().int(),
+  via: z.string(),
+  files: z.array(z.string()),
+});
+
+// One protocol's requirements and how each conformer meets them (auditProtocol)
+const protocolAuditSchema = z.object({
+  protocol: z.string(),
+  file: z.string(),
+  requirements: z.array(z.object({
+    name: z.string(),
+    kind: z.string(),
+    protocol: z.string(),
+    optional: z.boolean(),
+    defaultIn: z.string().nullable(),
+  })),
+  conformers: z.array(z.object({
+    key: z.string(),
+    kind: z.string(),
+    file: z.string(),
+    via: z.string().nullable(),
+    missing: z.array(z.string()),
+    defaulted: z.array(z.string()),
+    inherited: z.array(z.string()),
+  })),
+});
+
+// Symbol pairs behind a file/type-level link, as collected by selectGraph and findDependencyCycles
+const linkPairSchema = z.object({
+  fromSymbol: z.string(),
+  toSymbol: z.string(),
+  relationship: z.string().optional(),
+});
+
+const pageSchema = z.object({
+  offset: z.number().int(),
+  limit: z.number().int(),
+  nextCursor: z.string().optional(),
+});
+
+const symbolCountsSchema = z.object({
+  classes: z.number().int(),
+  structs: z.number().int(),
+  protocols: z.number().int(),
+  enums: z.number().int(),
+  functions: z.number().int(),
+});
+
+const xcodeSummarySchema = z.object({
+  projects: z.array(z.string()),
+  targets: z.array(z.object({
+    name: z.string(),
+    kind: z.string(),
+    productType: z.string().optional(),
+    project: z.string(),
+    fileCount: z.number().int(),
+  })),
+  excluded: z.array(z.string()),
+  orphaned: z.array(z.string()),
+  errors: z.array(z.string()),
+});
+
+// Symbol fields for structuredContent; `file` must already be repo-relative
+function symbolSummary(s, kind = s.symbolKind) {
+  return {
+    name: s.name,
+    qualifiedName: s.qualifiedName || s.name,
+    kind,
+    file: s.file,
+    key: s.key,
+    module: s.module,
+    accessibility: s.accessibility,
+    swiftName: s.swiftName,
+    objcName: s.objcName,
+  };
+}
+
+const memberSummary = (m) => ({
+  name: m.name, type: m.type, returnType: m.returnType, access: m.access, attributes: m.attributes,
+  swiftName: m.swiftName, objcName: m.objcName, from: m.from,
+});
+
+const membersSummary = (members) => ({
+  properties: members.properties.map(memberSummary),
+  methods: members.methods.map(memberSummary),
+  initializers: members.initializers.map(memberSummary),
+});
+
+const referenceSummary = (ref) => ({ file: ref.file, line: ref.line, column: ref.column });
+
+const dependentSummary = (d) => ({
+  symbol: d.name,
+  kind: astData.dependencyGraph?.typeMap?.[d.name]?.kind || 'type',
+  depth: d.depth,
+  via: d.via,
+  files: d.files,
+});
+
+const protocolAuditSummary = (protocol, file, { requirements, conformers }) => ({
+  protocol,
+  file,
+  requirements,
+  conformers: conformers.map(c => ({ ...c, missing: c.missing.map(req => req.name) })),
+});
+
+const edgeSummary = (e) => ({ from: e.from, to: e.to, fromSymbol: e.fromSymbol, toSymbol: e.toSymbol, relationship: e.relationship, member: e.member });
+
+// ============== TOOL 1: INIT ==============
+
+server.registerTool(
+  "init_swift_repo",
+  {
+    title: "Initialize Swift Repository",
+    description: "Scans a Swift/iOS project and generates AST using SourceKitten and Clang. Processes both Swift and Objective-C files. Requires .xcodeproj, .xcworkspace or Package.swift. Run this first.",
+    inputSchema: {
+      repoPath: z.string().describe("Absolute path to the Swift/iOS project folder."),
+      concurrency: z.number().int().min(1).optional().describe("Files parsed in parallel (default: CPU count)."),
+      timeoutSeconds: z.number().positive().optional().describe(`Per-file parse timeout in seconds (default ${DEFAULT_PARSE_TIMEOUT_SECONDS}).`),
+      compileCommands: z.string().optional().describe("compile_commands.json giving Clang each Objective-C file's real arguments (default: compile_commands.json or build/compile_commands.json in the repo, if present)."),
+      clangFlags: z.array(z.string()).optional().describe("Extra Clang flags for Objective-C files without a compile command, e.g. [\"-I\", \"Vendor/include\", \"-DDEBUG=1\", \"-isysroot\", \"/path/to/iPhoneSimulator.sdk\"]. Relative paths are against the repo root."),
+      config: z.union([z.string(), projectConfigSchema]).optional().describe(`Project config: a path to a JSON file (relative to the repo) or the settings themselves. Default: ${CONFIG_FILE_NAME} in the repo root, if present. compileCommands and clangFlags above override its clang section.`),
+    },
+    outputSchema: {
+      repoPath: z.string(),
+      outputPath: z.string().optional(),
+      config: z.string().optional(),
+      project: z.object({ name: z.string(), type: z.string() }),
+      package: z.object({ name: z.string(), targets: z.array(z.string()) }).optional(),
+      xcode: xcodeSummarySchema.optional(),
+      swift: z.object({ files: z.number().int(), parsed: z.number().int(), errors: z.number().int(), sourceKittenAvailable: z.boolean(), builtinParserFiles: z.array(z.string()) }),
+      objc: z.object({
+        files: z.number().int(),
+        parsed: z.number().int(),
+        errors: z.number().int(),
+        clangAvailable: z.boolean(),
+        compileCommands: z.string().optional(),
+        failures: z.array(z.object({
+          file: z.string(),
+          error: z.string(),
+          diagnostics: z.array(z.object({ file: z.string(), line: z.number().int(), column: z.number().int(), severity: z.string(), message: z.string() })),
+        })),
+      }),
+      bridging: z.object({ headers: z.array(z.string()), exposedHeaders: z.number().int().optional(), names: z.number().int() }),
+      timedOut: z.number().int(),
+      symbols: symbolCountsSchema,
+    },
+  },
+  async ({ repoPath: inputPath, concurrency = DEFAULT_CONCURRENCY, timeoutSeconds = DEFAULT_PARSE_TIMEOUT_SECONDS, compileCommands, clangFlags, config: configSource }) => {
+    try {
+      // Validate directory
+      const stats = await fs.stat(inputPath);
+      if (!stats.isDirectory()) {
+        return { content: [{ type: "text", text: `❌ "${inputPath}" is not a directory.` }], isError: true };
+      }
+      
+      // Check for iOS project (xcodeproj, xcworkspace or Swift package)
+      const projectInfo = await detectProjectType(inputPath);
+      if (!projectInfo) {
+        return { content: [{ type: "text", text: `❌ Not an iOS/Swift project.
+
+No .xcodeproj, .xcworkspace or Package.swift found in:
+${inputPath}
+
+This tool only works with iOS/macOS Xcode projects and Swift packages.
+Aborting analysis.` }], isError: true };
+      }
+      
+      let config;
+      try {
+        config = await loadProjectConfig(inputPath, configSource);
+      } catch (error) {
+        return { content: [{ type: "text", text: `❌ ${error.message}` }], isError: true };
+      }
+      
+      // Check sourcekitten (the built-in parser takes over without it)
+      let sourceKittenAvailable = true;
+      try {
+        await execWithFile('which', [config.tools.sourcekitten]);
+      } catch {
+        sourceKittenAvailable = false;
+      }
+      
+      // Check clang
+      let clangAvailable = true;
+      try {
+        await execWithFile('which', [config.tools.clang]);
+      } catch {
+        clangAvailable = false;
+      }
+      
+      repoPath = inputPath;
+      projectConfig = config;
+      const sourceFiles = await findSourceFiles(repoPath);
+      
+      if (sourceFiles.swift.length === 0 && sourceFiles.objc.length === 0) {
+        return { content: [{ type: "text", text: `❌ No Swift or Objective-C files found in iOS project.
+
+Project: ${projectInfo.name} (${projectInfo.type})
+Path: ${projectInfo.path}
+
+The project exists but contains no .swift, .m, or .h files.
+Aborting analysis.` }], isError: true };
+      }
+      
+      // Generate AST for each file, several files at a time
+      const files = {};
+      let swiftProcessed = 0, swiftErrors = 0;
+      let objcProcessed = 0, objcErrors = 0;
+      let timedOut = 0;
+      const objcFailures = [];
+      
+      const clangConfig = { compileCommands: compileCommands ?? config.clang.compileCommands, flags: clangFlags ?? config.clang.flags };
+      const clang = clangAvailable && sourceFiles.objc.length > 0 ? await createClangSettings(repoPath, clangConfig, sourceFiles.objc) : null;
+      const toParse = clangAvailable ? [...sourceFiles.swift, ...sourceFiles.objc] : sourceFiles.swift;
+      const results = await parseSourceFiles(toParse, { concurrency, timeoutSeconds, useSourceKitten: sourceKittenAvailable, clang });
+      
+      for (const { file, fileData, error } of results) {
+        const isSwift = isSwiftSource(file);
+        if (error) {
+          if (error.code === 'ETIMEDOUT') timedOut++;
+          if (isSwift) {
+            swiftErrors++;
+          } else {
+            objcErrors++;
+            objcFailures.push({ file, error });
+          }
+          continue;
+        }
+        files[file] = fileData;
+        if (isSwift) swiftProcessed++;
+        else objcProcessed++;
+      }
+      
+      if (!clangAvailable && sourceFiles.objc.length > 0) {
+        // Clang not available, skip Objective-C files
+        objcErrors = sourceFiles.objc.length;
+      }
+      
+      // Tag files and symbols with their Swift package module
+      const packageInfo = await readPackageManifest(repoPath);
+      if (packageInfo) assignModules(files, packageInfo);
+      if (packageInfo && projectInfo.type === 'spm') projectInfo.name = packageInfo.name;
+      
+      // Tag files with the Xcode targets that compile them
+      const xcodeProjects = await readXcodeProjects(projectInfo, repoPath);
+      const xcodeInfo = xcodeProjects ? assignXcodeTargets(files, xcodeProjects, [...sourceFiles.swift, ...sourceFiles.objc]) : null;
+      
+      // Build type map and edges
+      const { typeMap, edges } = buildDependencyGraph(files);
+      
+      // Build search indexes for faster queries
+      const indexes = {
+        byName: {},      // symbolName -> [{ file, kind }]
+        byKind: {},      // 'class' -> [symbolNames]
+        byFile: {},      // filePath -> [symbolNames]
+        bridging: null,  // { headers, exposed, names: spelling -> other-language spellings }
+        references: {}   // identifier -> [{ file, line, column, isDeclaration }]
+      };
+
+      for (const [filePath, fileData] of Object.entries(files)) {
+        addToIndexes(indexes, getRelativePath(filePath), fileData);
+      }
+
+      // Link Swift and Objective-C spellings, then index every use site of a known type or function name
+      indexes.bridging = await buildBridging(files, [...sourceFiles.swift, ...sourceFiles.objc], xcodeProjects);
+      indexes.references = await buildReferenceIndex(files, typeMap, [...sourceFiles.swift, ...sourceFiles.objc], indexes.bridging);
+
+      astData = {
+        schemaVersion: AST_SCHEMA_VERSION,
+        repoPath,
+        generatedAt: new Date().toISOString(),
+        files,
+        dependencyGraph: { typeMap, edges },
+        indexes,
+        package: packageInfo,
+        xcode: xcodeInfo,
+        clang: clangConfig,
+        config: projectConfig
+      };
+      
+      // Save
+      const outputPath = await saveAstData();
+      notifyResourcesUpdated();
+      
+      // Count totals
+      let classes = 0, structs = 0, protocols = 0, enums = 0, functions = 0;
+      for (const f of Object.values(files)) {
+        classes += f.symbols.classes.length;
+        structs += f.symbols.structs.length;
+        protocols += f.symbols.protocols.length;
+        enums += f.symbols.enums.length;
+        functions += f.symbols.functions.length;
       }
       
-      // Build type map
-      const typeMap = {};
-      for (const [filePath, fileData] of Object.entries(files)) {
-        const rel = getRelativePath(filePath);
-        for (const c of fileData.symbols.classes) typeMap[c.name] = { file: rel, kind: 'class', symbol: c };
-        for (const s of fileData.symbols.structs) typeMap[s.name] = { file: rel, kind: 'struct', symbol: s };
-        for (const p of fileData.symbols.protocols) typeMap[p.name] = { file: rel, kind: 'protocol', symbol: p };
-        for (const e of fileData.symbols.enums) typeMap[e.name] = { file: rel, kind: 'enum', symbol: e };
+      let message = `✅ Initialized: ${repoPath}
+
+📱 Project: ${projectInfo.name} (${projectInfo.type})`;
+      
+      if (config.file) {
+        message += `\n⚙️  Config: ${getRelativePath(config.file)}`;
       }
       
-      // Build edges
-      const edges = [];
-      for (const [filePath, fileData] of Object.entries(files)) {
-        const rel = getRelativePath(filePath);
-        const allTypes = [...fileData.symbols.classes, ...fileData.symbols.structs, ...fileData.symbols.enums, ...fileData.symbols.extensions];
-        for (const symbol of allTypes) {
-          for (const inherited of symbol.inheritedTypes || []) {
-            if (typeMap[inherited]) {
-              edges.push({ from: rel, to: typeMap[inherited].file, fromSymbol: symbol.name, toSymbol: inherited });
+      if (packageInfo) {
+        message += `\n📦 Package: ${packageInfo.name} (${packageInfo.targets.length} targets: ${packageInfo.targets.map(t => t.name).join(', ')})`;
+      }
+      
+      if (xcodeInfo) {
+        message += formatXcodeSummary(xcodeInfo);
+      }
+      
+      if (sourceFiles.swift.length > 0) {
+        message += `\n📊 Swift: ${sourceFiles.swift.length} files (${swiftProcessed} OK, ${swiftErrors} errors)`;
+        
+        const fallbackFiles = Object.entries(files)
+          .filter(([, f]) => f.parser === 'builtin')
+          .map(([filePath]) => getRelativePath(filePath));
+        if (!sourceKittenAvailable) {
+          message += `\n⚠️  SourceKitten not found: Swift parsed with the ${PARSER_LABELS.builtin} (install: brew install sourcekitten)`;
+        } else if (fallbackFiles.length > 0) {
+          message += `\n⚠️  SourceKitten failed on ${fallbackFiles.length} files, parsed with the ${PARSER_LABELS.builtin}:`;
+          for (const f of fallbackFiles.slice(0, 10)) message += `\n   • ${f}`;
+          if (fallbackFiles.length > 10) message += `\n   ... +${fallbackFiles.length - 10} more`;
+        }
+      }
+      
+      if (sourceFiles.objc.length > 0) {
+        if (clangAvailable) {
+          message += `\n📊 Objective-C: ${sourceFiles.objc.length} files (${objcProcessed} OK, ${objcErrors} errors)`;
+          if (clang.compileCommands) {
+            message += `\n🛠️  Compile commands: ${getRelativePath(clang.compileCommands)} (${clang.fileCount} files)`;
+          }
+          if (objcFailures.length > 0) {
+            message += `\n⚠️  Clang failed on ${objcFailures.length} files:`;
+            for (const failure of objcFailures.slice(0, 10)) message += `\n   • ${formatParseFailure(failure)}`;
+            if (objcFailures.length > 10) message += `\n   ... +${objcFailures.length - 10} more`;
+            if (objcFailures.some(f => f.error.diagnostics?.some(d => /file not found/.test(d.message)))) {
+              message += `\n💡 Missing headers: pass compileCommands, or clangFlags with -I and -isysroot (the SDK path from \`xcrun --sdk iphonesimulator --show-sdk-path\`)`;
             }
           }
+        } else {
+          message += `\n⚠️  Objective-C: ${sourceFiles.objc.length} files skipped (Clang not available)`;
+        }
+      }
+      
+      const { bridging } = indexes;
+      if (bridging.headers.length > 0) {
+        message += `\n🌉 Bridging header: ${bridging.headers.join(', ')} (${bridging.exposed} headers exposed to Swift)`;
+      }
+      const bridgedCount = Object.keys(bridging.names).length;
+      if (bridgedCount > 0) {
+        message += `\n🌉 ${bridgedCount} names spelled differently in Swift and Objective-C (either spelling works in lookups)`;
+      }
+      
+      if (timedOut > 0) {
+        message += `\n⏱️  ${timedOut} files timed out after ${timeoutSeconds}s (counted as errors)`;
+      }
+      
+      message += `\n   Classes: ${classes} | Structs: ${structs} | Protocols: ${protocols} | Enums: ${enums} | Functions: ${functions}
+   
+${savedLine(outputPath)}`;
+      
+      const structured = {
+        repoPath,
+        outputPath: outputPath || undefined,
+        config: config.file ? getRelativePath(config.file) : undefined,
+        project: { name: projectInfo.name, type: projectInfo.type },
+        package: packageInfo ? { name: packageInfo.name, targets: packageInfo.targets.map(t => t.name) } : undefined,
+        xcode: xcodeInfo || undefined,
+        swift: {
+          files: sourceFiles.swift.length,
+          parsed: swiftProcessed,
+          errors: swiftErrors,
+          sourceKittenAvailable,
+          builtinParserFiles: Object.entries(files).filter(([, f]) => f.parser === 'builtin').map(([filePath]) => getRelativePath(filePath)),
+        },
+        objc: {
+          files: sourceFiles.objc.length,
+          parsed: objcProcessed,
+          errors: objcErrors,
+          clangAvailable,
+          compileCommands: clang?.compileCommands ? getRelativePath(clang.compileCommands) : undefined,
+          failures: objcFailures.map(({ file, error }) => ({
+            file: getRelativePath(file),
+            error: error.message.split('\n')[0],
+            diagnostics: (error.diagnostics || []).map(d => ({ ...d, file: getRelativePath(d.file) })),
+          })),
+        },
+        bridging: { headers: bridging.headers, exposedHeaders: bridging.exposed ?? undefined, names: bridgedCount },
+        timedOut,
+        symbols: { classes, structs, protocols, enums, functions },
+      };
+      
+      return { content: [{ type: "text", text: message }], structuredContent: structured };
+    } catch (error) {
+      return { content: [{ type: "text", text: `❌ Error: ${error.message}` }], isError: true };
+    }
+  }
+);
+
+// ============== TOOL 2: LOAD ==============
+
+server.registerTool(
+  "load_ast",
+  {
+    title: "Load AST",
+    description: "Load a previously generated app.json file. Files from older versions are migrated and missing indexes rebuilt; files that don't match the schema are rejected with the reason.",
+    inputSchema: {
+      astPath: z.string().describe(`Path to the app.json file, or to the repo folder (the file is then looked up at output.path from its ${CONFIG_FILE_NAME}).`),
+    },
+    outputSchema: {
+      astPath: z.string(),
+      repoPath: z.string(),
+      generatedAt: z.string().optional(),
+      files: z.number().int(),
+      types: z.number().int(),
+      schemaVersion: z.number().int(),
+      migratedFrom: z.number().int().optional(),
+      rebuilt: z.array(z.string()),
+    },
+  },
+  async ({ astPath: inputPath }) => {
+    try {
+      let astPath = inputPath;
+      if ((await fs.stat(inputPath)).isDirectory()) {
+        astPath = outputPathFor(inputPath, await loadProjectConfig(inputPath));
+      }
+      const { data, migratedFrom } = await readAstFile(astPath);
+      // Scan rules, tool paths and output location the index was built with
+      const config = resolveProjectConfig(data.config || {}, data.config?.file);
+      const rebuilt = await rebuildDerivedData(data, config);
+      // Switch over only once the whole index is usable
+      astData = data;
+      repoPath = data.repoPath;
+      projectConfig = config;
+      notifyResourcesUpdated();
+      
+      const fileCount = Object.keys(astData.files).length;
+      const typeCount = Object.keys(astData.dependencyGraph.typeMap).length;
+      let message = `✅ Loaded: ${astPath}
+📂 Repo: ${repoPath}
+📁 Files: ${fileCount}
+🔗 Types: ${typeCount}`;
+      if (migratedFrom) message += `\n🔀 Migrated from schema ${migratedFrom} to ${AST_SCHEMA_VERSION}`;
+      if (rebuilt.length > 0) message += `\n🛠️  Rebuilt: ${rebuilt.join(', ')}`;
+      return {
+        content: [{ type: "text", text: message }],
+        structuredContent: {
+          astPath, repoPath, generatedAt: astData.generatedAt, files: fileCount, types: typeCount,
+          schemaVersion: AST_SCHEMA_VERSION, migratedFrom, rebuilt,
+        },
+      };
+    } catch (error) {
+      return { content: [{ type: "text", text: `❌ Error: ${error.message}` }], isError: true };
+    }
+  }
+);
+
+// ============== TOOL 3: EXPLAIN (main tool) ==============
+
+server.registerTool(
+  "explain_symbol",
+  {
+    title: "Explain Symbol",
+    description: "Explains how a class, struct, protocol, enum, or function works and is used. This is the main analysis tool. Lists the candidates instead of guessing when a name is declared more than once.",
+    inputSchema: {
+      symbolName: z.string().describe("Name of the symbol to explain. Qualify duplicates as 'Outer.Inner', 'Module.Name' or 'Name@path/File.swift'."),
+      sortBy: z.enum(["source", "name"]).optional().describe("Order of members and usages: declaration/index order or alphabetical (default source)."),
+      ...paginationInput(10, "items per member and usage list", { textOnly: true }),
+    },
+    outputSchema: {
+      symbol: symbolSummarySchema,
+      inheritance: z.array(z.object({
+        name: z.string(),
+        key: z.string().optional(),
+        kind: z.string().optional(),
+        file: z.string().optional(),
+        via: z.string().optional(),
+      })),
+      members: membersSchema,
+      extensions: z.array(z.object({ label: z.string(), file: z.string(), inheritedTypes: z.array(z.string()), members: membersSchema })),
+      usage: z.object({
+        inheritedBy: z.array(z.object({ symbol: z.string(), file: z.string() })),
+        heldBy: z.array(z.string()),
+        returnedBy: z.array(z.string()),
+        extendedIn: z.array(z.string()),
+        referencedIn: z.array(z.object({ file: z.string(), references: z.number().int().optional() })),
+      }),
+      counts: z.object({
+        properties: z.number().int(),
+        initializers: z.number().int(),
+        methods: z.number().int(),
+        inheritedBy: z.number().int(),
+        heldBy: z.number().int(),
+        returnedBy: z.number().int(),
+        referencedIn: z.number().int(),
+      }),
+      page: pageSchema,
+    },
+  },
+  async ({ symbolName, sortBy = "source", limit, offset, cursor }) => {
+    if (!astData) {
+      return { content: [{ type: "text", text: "❌ No AST loaded. Run init_swift_repo or load_ast first." }], isError: true };
+    }
+    
+    const candidates = findSymbolCandidates(symbolName);
+    if (candidates.length > 1) {
+      return { content: [{ type: "text", text: formatAmbiguous(symbolName, candidates) }], isError: true };
+    }
+    const symbol = candidates[0] || findSymbol(symbolName);
+    if (!symbol) {
+      return { content: [{ type: "text", text: `❌ Symbol "${symbolName}" not found.` }], isError: true };
+    }
+    const displayName = symbol.qualifiedName || symbol.name;
+    const symbolKey = symbol.key || symbol.name;
+    const page = resolvePage({ limit, offset, cursor }, 10, { symbol: symbolKey, file: symbol.file, sortBy });
+    if (page.error) {
+      return { content: [{ type: "text", text: page.error }], isError: true };
+    }
+    
+    const fullPath = path.join(repoPath, symbol.file);
+    const fileData = astData.files?.[fullPath];
+    
+    // Find usages
+    const incoming = (astData.dependencyGraph?.edges || []).filter(e => e.toSymbol === symbolKey);
+    const inheritedBy = incoming.filter(isInheritanceEdge).map(e => ({ name: e.fromSymbol, file: e.from }));
+    const composedBy = (relationship) => [...new Set(incoming.filter(e => e.relationship === relationship).map(e => `${e.fromSymbol}.${e.member}`))];
+    const heldBy = composedBy('holds');
+    const returnedBy = composedBy('returns');
+    
+    // Own members plus those added by extensions and categories
+    const extensions = findExtensions(symbolKey, symbol.name);
+    const allMembers = mergedMembers(symbol, extensions);
+    
+    const referencedIn = [];
+    const referenceCounts = new Map();
+    
+    // References: use sites from the reference index (built on init, rebuilt on load), grouped by file.
+    // Same-named types in other modules: count only files where the name resolves to this one
+    const lookup = typeLookup(astData.dependencyGraph?.typeMap || {}, astData.files || {});
+    const namesakes = lookup.keysByName.get(displayName) || [];
+    // Uses inside the declaration itself don't count; the rest of its file does
+    const lineOf = createLineLocator();
+    const ownLines = symbol.offset !== undefined
+      ? [await lineOf(symbol.file, symbol.offset), await lineOf(symbol.file, symbol.offset + (symbol.length || 0))]
+      : null;
+    for (const ref of findReferences(symbol.name) || []) {
+      if (ref.file === symbol.file && (!ownLines || (ref.line >= ownLines[0] && ref.line <= ownLines[1]))) continue;
+      if (namesakes.length > 1 && resolveTypeKey(displayName, { rel: ref.file, fileData: lookup.fileDataOf(ref.file) }, lookup) !== symbolKey) continue;
+      referenceCounts.set(ref.file, (referenceCounts.get(ref.file) || 0) + 1);
+    }
+    referencedIn.push(...referenceCounts.keys());
+    
+    // Every member and usage list is sorted and paged the same way; a cursor advances them all
+    const byName = (a, b) => a.localeCompare(b);
+    if (sortBy === 'name') {
+      for (const list of Object.values(allMembers)) list.sort((a, b) => byName(a.name, b.name));
+      inheritedBy.sort((a, b) => byName(a.name, b.name));
+      heldBy.sort(byName);
+      returnedBy.sort(byName);
+      referencedIn.sort(byName);
+    }
+    const lists = { ...allMembers, inheritedBy, heldBy, returnedBy, referencedIn };
+    const counts = Object.fromEntries(Object.entries(lists).map(([list, items]) => [list, items.length]));
+    const shown = Object.fromEntries(Object.entries(lists).map(([list, items]) => [list, page.slice(items)]));
+    const longest = Math.max(...Object.values(counts));
+    const more = (list) => counts[list] - page.offset - shown[list].length;
+    
+    // Build response
+    let r = `📖 ${displayName}\n${'━'.repeat(40)}\n\n`;
+    r += `📍 ${symbol.symbolKind} in ${symbol.file}\n`;
+    if (symbol.key && symbol.key !== displayName) r += `🔑 Key: ${symbol.key}\n`;
+    if (symbol.module) r += `📦 Module: ${symbol.module}\n`;
+    r += `🔒 ${symbol.accessibility || 'internal'}\n`;
+    if (bridgedSpelling(symbol)) r += `🌉 ${symbol.swiftName ? 'Swift' : 'Objective-C'} name: ${bridgedSpelling(symbol)}\n`;
+    
+    // Conformances declared on the type itself, then those added by extensions
+    const conformances = (symbol.inheritedTypes || []).map(t => ({ name: t, scope: displayName, file: symbol.file, fileData }));
+    for (const ext of extensions) {
+      for (const t of ext.inheritedTypes || []) {
+        conformances.push({ name: t, scope: ext.qualifiedName || ext.name, file: ext.file, fileData: astData.files?.[path.join(repoPath, ext.file)], via: extensionLabel(ext) });
+      }
+    }
+    const inheritance = [];
+    if (conformances.length > 0) {
+      const lookup = typeLookup(astData.dependencyGraph?.typeMap || {}, astData.files || {});
+      r += `\n📎 Inherits/Conforms to:\n`;
+      for (const c of conformances) {
+        const key = resolveTypeKey(c.name, { rel: c.file, fileData: c.fileData, scope: c.scope }, lookup);
+        const info = key ? lookup.typeMap[key] : null;
+        inheritance.push({ name: c.name, key: key || undefined, kind: info?.kind, file: info?.file, via: c.via });
+        const otherModule = info?.symbol?.module && info.symbol.module !== symbol.module ? `, module ${info.symbol.module}` : '';
+        r += `   • ${c.name}${info ? ` (${info.kind} in ${info.file}${otherModule})` : ' (external)'}${c.via ? ` ↳ ${c.via}` : ''}\n`;
+      }
+    }
+    
+    const access = (m) => m.access && m.access !== 'internal' ? ` [${m.access}]` : '';
+    const from = (m) => m.from ? ` ↳ ${m.from}` : '';
+    const bridged = (m) => bridgedSpelling(m) ? ` ⇄ ${bridgedSpelling(m)}` : '';
+    
+    if (shown.properties.length > 0) {
+      r += `\n📝 Properties (${counts.properties}):\n`;
+      for (const p of shown.properties) {
+        r += `   • ${p.name}${p.type ? `: ${p.type}` : ''}${access(p)}${bridged(p)}${from(p)}\n`;
+      }
+      if (more('properties') > 0) r += `   ... +${more('properties')} more\n`;
+    }
+    
+    if (shown.initializers.length > 0) {
+      r += `\n🔨 Initializers (${counts.initializers}):\n`;
+      for (const i of shown.initializers) {
+        r += `   • ${i.name}${access(i)}${bridged(i)}${from(i)}\n`;
+      }
+      if (more('initializers') > 0) r += `   ... +${more('initializers')} more\n`;
+    }
+    
+    if (shown.methods.length > 0) {
+      r += `\n⚡ Methods (${counts.methods}):\n`;
+      for (const m of shown.methods) {
+        r += `   • ${m.name}${m.returnType ? ` → ${m.returnType}` : ''}${access(m)}${bridged(m)}${from(m)}\n`;
+      }
+      if (more('methods') > 0) r += `   ... +${more('methods')} more\n`;
+    }
+    
+    if (extensions.length > 0) {
+      r += `\n🧩 Extensions (${extensions.length}):\n`;
+      for (const ext of extensions) {
+        const counts = [['properties', 'property', 'properties'], ['initializers', 'initializer', 'initializers'], ['methods', 'method', 'methods']]
+          .map(([list, one, many]) => [ext.members?.[list]?.length || 0, one, many])
+          .filter(([n]) => n > 0)
+          .map(([n, one, many]) => `${n} ${n === 1 ? one : many}`);
+        const adds = ext.inheritedTypes?.length > 0 ? `adds ${ext.inheritedTypes.join(', ')}` : 'no conformances';
+        r += `   • ${extensionLabel(ext)} — ${adds}${counts.length > 0 ? `; ${counts.join(', ')}` : ''}\n`;
+      }
+    }
+    
+    const extendedElsewhere = extensions.filter(ext => ext.file !== symbol.file);
+    const andMore = (list) => more(list) > 0 ? ` +${more(list)} more` : '';
+    r += `\n🔗 Usage:\n`;
+    if (shown.inheritedBy.length > 0) {
+      r += `   Inherited by: ${shown.inheritedBy.map(x => x.name).join(', ')}${andMore('inheritedBy')}\n`;
+    }
+    if (shown.heldBy.length > 0) {
+      r += `   Held by: ${shown.heldBy.join(', ')}${andMore('heldBy')}\n`;
+    }
+    if (shown.returnedBy.length > 0) {
+      r += `   Returned by: ${shown.returnedBy.join(', ')}${andMore('returnedBy')}\n`;
+    }
+    if (extendedElsewhere.length > 0) {
+      r += `   Extended in: ${[...new Set(extendedElsewhere.map(x => x.file))].join(', ')}\n`;
+    }
+    if (shown.referencedIn.length > 0) {
+      const files = shown.referencedIn.map(f => referenceCounts.has(f) ? `${f} (${referenceCounts.get(f)})` : f);
+      r += `   Referenced in: ${files.join(', ')}${andMore('referencedIn')}\n`;
+    }
+    if (incoming.length === 0 && extendedElsewhere.length === 0 && referencedIn.length === 0) {
+      r += `   ⚠️ No usages found (may be an entry point)\n`;
+    }
+    r += pageFooter(page, longest, { sections: true });
+    
+    const structured = {
+      symbol: symbolSummary(symbol),
+      inheritance,
+      members: membersSummary(allMembers),
+      extensions: extensions.map(ext => ({
+        label: extensionLabel(ext),
+        file: ext.file,
+        inheritedTypes: ext.inheritedTypes || [],
+        members: membersSummary({ properties: [], methods: [], initializers: [], ...ext.members }),
+      })),
+      usage: {
+        inheritedBy: inheritedBy.map(x => ({ symbol: x.name, file: x.file })),
+        heldBy,
+        returnedBy,
+        extendedIn: [...new Set(extendedElsewhere.map(x => x.file))],
+        referencedIn: referencedIn.map(f => ({ file: f, references: referenceCounts.get(f) })),
+      },
+      counts,
+      page: { offset: page.offset, limit: page.limit, nextCursor: page.nextCursor(longest) },
+    };
+    
+    return { content: [{ type: "text", text: r }], structuredContent: structured };
+  }
+);
+
+// ============== TOOL 4: SEARCH ==============
+
+server.registerTool(
+  "search_symbols",
+  {
+    title: "Search Symbols",
+    description: "Search for classes, structs, protocols, functions, or enums by name. Matches substrings and camel humps (\"UVM\" finds UserViewModel) or a regular expression, ranks exact and prefix matches first, and filters by access level, inherited type or conformance, language and path.",
+    inputSchema: {
+      query: z.string().describe("Search query. Empty matches every symbol (use with filters). Include a dot to match qualified names like 'Outer.Inner'."),
+      match: z.enum(["fuzzy", "substring", "regex"]).optional().describe("fuzzy: substring or camel-hump initials; substring: plain case-insensitive substring; regex: case-insensitive regular expression (default fuzzy)."),
+      type: z.enum(["all", "class", "struct", "protocol", "function", "enum"]).optional().describe("Filter by type."),
+      accessibility: z.array(z.enum(["private", "fileprivate", "internal", "public", "open"])).optional().describe("Only symbols with these access levels."),
+      inheritsFrom: z.string().optional().describe("Only types that inherit from or conform to this type, directly, in an extension, or through a superclass or protocol in the index (e.g. \"Codable\")."),
+      language: z.enum(["swift", "objc"]).optional().describe("Only symbols declared in Swift or in Objective-C files."),
+      path: z.string().optional().describe("Only symbols in files matching this glob, relative to the repo root (e.g. \"Sources/Feature/**\", \"*ViewModel.swift\")."),
+      target: z.string().optional().describe("Only symbols in files compiled by this Xcode target or package module."),
+      sortBy: z.enum(["relevance", "name", "file", "kind"]).optional().describe("Result order (default relevance)."),
+      ...paginationInput(25, "results"),
+    },
+    outputSchema: {
+      query: z.string(),
+      total: z.number().int(),
+      results: z.array(symbolSummarySchema.extend({ inheritedTypes: z.array(z.string()), score: z.number() })),
+      page: pageSchema,
+    },
+  },
+  async ({ query, match = "fuzzy", type = "all", accessibility, inheritsFrom, language, path: pathGlob, target, sortBy = "relevance", limit, offset, cursor }) => {
+    if (!astData) {
+      return { content: [{ type: "text", text: "❌ No AST loaded." }], isError: true };
+    }
+    
+    const targetError = checkTargetFilter(target);
+    if (targetError) {
+      return { content: [{ type: "text", text: targetError }], isError: true };
+    }
+    
+    const page = resolvePage({ limit, offset, cursor }, 25, { query, match, type, accessibility, inheritsFrom, language, pathGlob, target, sortBy });
+    if (page.error) {
+      return { content: [{ type: "text", text: page.error }], isError: true };
+    }
+    
+    let pattern;
+    if (match === 'regex') {
+      try {
+        pattern = new RegExp(query, 'i');
+      } catch (error) {
+        return { content: [{ type: "text", text: `❌ ${error.message}` }], isError: true };
+      }
+    }
+    const pathPattern = pathGlob ? globToRegExp(pathGlob) : null;
+    const inheriting = inheritsFrom ? typesInheriting(inheritsFrom) : null;
+    const qualified = query.includes('.');
+    
+    const results = [];
+    
+    for (const [filePath, fileData] of Object.entries(astData.files || {})) {
+      if (target && !fileInTarget(fileData, target)) continue;
+      if (language && fileData.language !== language) continue;
+      const rel = getRelativePath(filePath);
+      if (pathPattern && !pathPattern.test(rel)) continue;
+      const add = (symbols, kind) => {
+        for (const s of symbols || []) {
+          if (!s.name) continue;
+          if (accessibility && !accessibility.includes(s.accessibility || 'internal')) continue;
+          if (inheriting && !inheriting.has(s.key)) continue;
+          const score = matchScore(qualified ? s.qualifiedName || s.name : s.name, query, { match, pattern });
+          if (score > 0) {
+            results.push({ name: s.qualifiedName || s.name, kind, file: rel, offset: s.offset, score, inherited: s.inheritedTypes, module: s.module, symbol: s });
+          }
+        }
+      };
+      
+      if (type === "all" || type === "class") add(fileData.symbols?.classes, "class");
+      if (type === "all" || type === "struct") add(fileData.symbols?.structs, "struct");
+      if (type === "all" || type === "protocol") add(fileData.symbols?.protocols, "protocol");
+      if (type === "all" || type === "function") add(fileData.symbols?.functions, "function");
+      if (type === "all" || type === "enum") add(fileData.symbols?.enums, "enum");
+    }
+    
+    results.sort(SYMBOL_ORDERS[sortBy]);
+    const shown = page.slice(results);
+    
+    const scope = target ? ` in ${target}` : '';
+    const filters = [];
+    if (match !== 'fuzzy') filters.push(match);
+    if (accessibility) filters.push(`access ${accessibility.join('/')}`);
+    if (inheritsFrom) filters.push(`inherits from ${inheritsFrom}`);
+    if (language) filters.push(language === 'objc' ? 'Objective-C' : 'Swift');
+    if (pathGlob) filters.push(`path ${pathGlob}`);
+    const filterLine = filters.length > 0 ? `🔍 Filters: ${filters.join(', ')}\n` : '';
+    const structured = {
+      query,
+      total: results.length,
+      results: shown.map(item => ({ ...symbolSummary({ ...item.symbol, file: item.file }, item.kind), inheritedTypes: item.inherited || [], score: item.score })),
+      page: { offset: page.offset, limit: page.limit, nextCursor: page.nextCursor(results.length) },
+    };
+    if (results.length === 0) {
+      return { content: [{ type: "text", text: `🔍 No results for "${query}"${scope}${filterLine ? `\n${filterLine.trimEnd()}` : ''}` }], structuredContent: structured };
+    }
+    
+    let r = `🔍 Found ${results.length} results for "${query}"${scope}\n${filterLine}\n`;
+    for (const item of shown) {
+      r += `• ${item.name} (${item.kind})`;
+      if (item.inherited?.length > 0) r += ` : ${item.inherited.join(', ')}`;
+      r += `\n  └─ ${item.file}${item.module ? ` [${item.module}]` : ''}\n`;
+    }
+    r += pageFooter(page, results.length);
+    
+    return { content: [{ type: "text", text: r }], structuredContent: structured };
+  }
+);
+
+// ============== TOOL 5: STATS ==============
+
+server.registerTool(
+  "get_codebase_stats",
+  {
+    title: "Codebase Statistics",
+    description: "Get an overview of the codebase, optionally for a single Xcode target or package module.",
+    inputSchema: {
+      target: z.string().optional().describe("Only count files compiled by this Xcode target or package module."),
+    },
+    outputSchema: {
+      target: z.string().optional(),
+      files: z.number().int(),
+      symbols: symbolCountsSchema.extend({ extensions: z.number().int() }),
+      largestFiles: z.array(z.object({ file: z.string(), symbols: z.number().int() })),
+      xcode: xcodeSummarySchema.optional(),
+      modules: z.array(z.object({
+        name: z.string(),
+        kind: z.string(),
+        path: z.string(),
+        files: z.number().int(),
+        dependencies: z.array(z.string()),
+        products: z.array(z.string()),
+        uses: z.array(z.object({ module: z.string(), references: z.number().int() })),
+        undeclared: z.array(z.string()),
+      })).optional(),
+    },
+  },
+  async ({ target }) => {
+    if (!astData) {
+      return { content: [{ type: "text", text: "❌ No AST loaded." }], isError: true };
+    }
+    
+    const targetError = checkTargetFilter(target);
+    if (targetError) {
+      return { content: [{ type: "text", text: targetError }], isError: true };
+    }
+    const files = Object.entries(astData.files || {}).filter(([, fileData]) => !target || fileInTarget(fileData, target));
+    
+    let classes = 0, structs = 0, protocols = 0, enums = 0, functions = 0, extensions = 0;
+    const fileSizes = [];
+    
+    for (const [filePath, fileData] of files) {
+      const s = fileData.symbols;
+      classes += s.classes?.length || 0;
+      structs += s.structs?.length || 0;
+      protocols += s.protocols?.length || 0;
+      enums += s.enums?.length || 0;
+      functions += s.functions?.length || 0;
+      extensions += s.extensions?.length || 0;
+      
+      const total = (s.classes?.length || 0) + (s.structs?.length || 0) + (s.protocols?.length || 0) + 
+                   (s.enums?.length || 0) + (s.functions?.length || 0);
+      fileSizes.push({ file: getRelativePath(filePath), count: total });
+    }
+    
+    fileSizes.sort((a, b) => b.count - a.count);
+    
+    const fileCount = files.length;
+    const total = classes + structs + protocols + enums;
+    
+    let modules;
+    let r = `📊 Codebase Statistics${target ? ` (${target})` : ''}\n${'━'.repeat(40)}\n\n`;
+    r += `📁 ${fileCount} Swift files\n\n`;
+    r += `📦 Types: ${total}\n`;
+    r += `   Classes:    ${classes}\n`;
+    r += `   Structs:    ${structs}\n`;
+    r += `   Protocols:  ${protocols}\n`;
+    r += `   Enums:      ${enums}\n`;
+    r += `   Extensions: ${extensions}\n`;
+    r += `   Functions:  ${functions}\n\n`;
+    r += `📄 Largest files:\n`;
+    for (const f of fileSizes.slice(0, 5)) {
+      r += `   ${f.count.toString().padStart(3)} symbols → ${f.file}\n`;
+    }
+    
+    if (!target && astData.xcode?.targets?.length > 0) {
+      r += `\n🎯 Targets:\n`;
+      for (const t of astData.xcode.targets) {
+        r += `   • ${t.name} [${t.kind}] — ${t.fileCount} files\n`;
+      }
+      if (astData.xcode.excluded.length > 0) r += `   ⚠️ ${astData.xcode.excluded.length} files in no target (excluded)\n`;
+      if (astData.xcode.orphaned.length > 0) r += `   ⚠️ ${astData.xcode.orphaned.length} files not in any project (orphaned)\n`;
+    }
+    
+    if (!target && astData.package?.targets?.length > 0) {
+      const filesPerModule = {};
+      for (const fileData of Object.values(astData.files)) {
+        if (fileData.module) filesPerModule[fileData.module] = (filesPerModule[fileData.module] || 0) + 1;
+      }
+      const observed = observedModuleDependencies();
+      
+      r += `\n📦 Modules (${astData.package.name}):\n`;
+      modules = [];
+      for (const target of astData.package.targets) {
+        r += `   • ${target.name} [${target.kind}] — ${filesPerModule[target.name] || 0} files in ${target.path}\n`;
+        if (target.dependencies.length > 0) r += `      declares: ${target.dependencies.join(', ')}\n`;
+        if (target.products.length > 0) r += `      products: ${target.products.join(', ')}\n`;
+        const uses = Object.entries(observed[target.name] || {}).sort((a, b) => b[1] - a[1]);
+        if (uses.length > 0) {
+          r += `      uses: ${uses.map(([m, n]) => `${m} (${n})`).join(', ')}\n`;
+          const undeclared = uses.map(([m]) => m).filter(m => !target.dependencies.includes(m));
+          if (undeclared.length > 0) r += `      ⚠️ not declared: ${undeclared.join(', ')}\n`;
+        }
+        modules.push({
+          name: target.name,
+          kind: target.kind,
+          path: target.path,
+          files: filesPerModule[target.name] || 0,
+          dependencies: target.dependencies,
+          products: target.products,
+          uses: uses.map(([module, references]) => ({ module, references })),
+          undeclared: uses.map(([m]) => m).filter(m => !target.dependencies.includes(m)),
+        });
+      }
+    }
+    
+    const structured = {
+      target,
+      files: fileCount,
+      symbols: { classes, structs, protocols, enums, functions, extensions },
+      largestFiles: fileSizes.map(f => ({ file: f.file, symbols: f.count })),
+      xcode: !target && astData.xcode ? astData.xcode : undefined,
+      modules,
+    };
+    
+    return { content: [{ type: "text", text: r }], structuredContent: structured };
+  }
+);
+
+// ============== TOOL 6: FILE OVERVIEW ==============
+
+server.registerTool(
+  "get_file_overview",
+  {
+    title: "File Overview",
+    description: "Get overview of a specific Swift file.",
+    inputSchema: {
+      filePath: z.string().describe("File path (partial match supported)."),
+      sortBy: z.enum(["source", "name"]).optional().describe("Order within each section: declaration order or alphabetical (default source)."),
+      ...paginationInput(10, "items per section", { textOnly: true }),
+    },
+    outputSchema: {
+      file: z.string(),
+      language: z.string().optional(),
+      parser: z.string().optional(),
+      module: z.string().optional(),
+      targets: z.array(z.string()).optional(),
+      symbols: z.record(z.string(), z.array(z.object({
+        name: z.string(),
+        qualifiedName: z.string(),
+        inheritedTypes: z.array(z.string()),
+        typeName: z.string().optional(),
+        accessibility: z.string().optional(),
+        attributes: z.array(z.string()).optional(),
+      }))),
+      counts: z.record(z.string(), z.number().int()),
+      page: pageSchema,
+    },
+  },
+  async ({ filePath: input, sortBy = "source", limit, offset, cursor }) => {
+    if (!astData) {
+      return { content: [{ type: "text", text: "❌ No AST loaded." }], isError: true };
+    }
+    
+    // Find file
+    const matches = Object.keys(astData.files).filter(f => f.toLowerCase().includes(input.toLowerCase()));
+    
+    if (matches.length === 0) {
+      return { content: [{ type: "text", text: `❌ No file matching "${input}"` }], isError: true };
+    }
+    if (matches.length > 1) {
+      return { content: [{ type: "text", text: `❌ Multiple matches:\n${matches.map(f => `• ${getRelativePath(f)}`).join('\n')}` }], isError: true };
+    }
+    
+    const fullPath = matches[0];
+    const fileData = astData.files[fullPath];
+    const page = resolvePage({ limit, offset, cursor }, 10, { file: fullPath, sortBy });
+    if (page.error) {
+      return { content: [{ type: "text", text: page.error }], isError: true };
+    }
+    
+    // Every section is sorted and paged the same way; a cursor advances them all
+    const s = {};
+    for (const [list, items] of Object.entries(fileData.symbols || {})) {
+      s[list] = sortBy === 'name' ? [...(items || [])].sort((a, b) => a.name.localeCompare(b.name) || byPosition(a, b)) : items || [];
+    }
+    const longest = Math.max(0, ...Object.entries(s).filter(([list]) => list !== 'variables').map(([, items]) => items.length));
+    
+    let r = `📄 ${getRelativePath(fullPath)}\n${'━'.repeat(40)}\n\n`;
+    if (fileData.module) {
+      r += `📦 Module: ${fileData.module}\n`;
+    }
+    if (fileData.targets?.length > 0) {
+      r += `🎯 Targets: ${fileData.targets.join(', ')}\n`;
+    }
+    if (fileData.parser) {
+      r += `🔧 Parsed with ${PARSER_LABELS[fileData.parser] || fileData.parser}\n`;
+    }
+    if (fileData.module || fileData.targets?.length > 0 || fileData.parser) r += '\n';
+    
+    const sections = [
+      { name: 'Classes', items: s.classes },
+      { name: 'Structs', items: s.structs },
+      { name: 'Protocols', items: s.protocols },
+      { name: 'Enums', items: s.enums },
+      { name: 'Extensions', items: s.extensions },
+      { name: 'Functions', items: s.functions },
+    ];
+    
+    for (const sec of sections) {
+      const shown = page.slice(sec.items || []);
+      if (shown.length > 0) {
+        r += `${sec.name} (${sec.items.length}):\n`;
+        for (const item of shown) {
+          r += `  • ${item.name}`;
+          if (item.inheritedTypes?.length > 0) r += ` : ${item.inheritedTypes.join(', ')}`;
+          if (item.typeName) r += ` → ${item.typeName}`;
+          r += '\n';
         }
+        const rest = sec.items.length - page.offset - shown.length;
+        if (rest > 0) r += `  ... +${rest} more\n`;
+        r += '\n';
       }
-      
-      // Build search indexes for faster queries
-      const indexes = {
-        byName: {},      // symbolName -> [{ file, kind }]
-        byKind: {},      // 'class' -> [symbolNames]
-        byFile: {}       // filePath -> [symbolNames]
-      };
+    }
+    r += pageFooter(page, longest, { sections: true });
+    
+    const structured = {
+      file: getRelativePath(fullPath),
+      language: fileData.language,
+      parser: fileData.parser,
+      module: fileData.module,
+      targets: fileData.targets,
+      symbols: Object.fromEntries(Object.entries(s)
+        .filter(([list]) => list !== 'variables')
+        .map(([list, items]) => [list, items.map(item => ({
+          name: item.name,
+          qualifiedName: item.qualifiedName || item.name,
+          inheritedTypes: item.inheritedTypes || [],
+          typeName: item.typeName,
+          accessibility: item.accessibility,
+          attributes: item.attributes,
+        }))])),
+      counts: Object.fromEntries(Object.entries(s).filter(([list]) => list !== 'variables').map(([list, items]) => [list, items.length])),
+      page: { offset: page.offset, limit: page.limit, nextCursor: page.nextCursor(longest) },
+    };
+    
+    return { content: [{ type: "text", text: r }], structuredContent: structured };
+  }
+);
 
-      for (const [filePath, fileData] of Object.entries(files)) {
-        const rel = getRelativePath(filePath);
-        indexes.byFile[rel] = [];
-        
-        const processSymbols = (symbols, kind) => {
-          if (!indexes.byKind[kind]) indexes.byKind[kind] = [];
-          
-          for (const symbol of symbols) {
-            // Index by name
-            if (!indexes.byName[symbol.name]) indexes.byName[symbol.name] = [];
-            indexes.byName[symbol.name].push({ file: rel, kind });
-            
-            // Index by kind
-            indexes.byKind[kind].push(symbol.name);
-            
-            // Index by file
-            indexes.byFile[rel].push(symbol.name);
-          }
-        };
-        
-        processSymbols(fileData.symbols.classes, 'class');
-        processSymbols(fileData.symbols.structs, 'struct');
-        processSymbols(fileData.symbols.protocols, 'protocol');
-        processSymbols(fileData.symbols.enums, 'enum');
-        processSymbols(fileData.symbols.functions, 'function');
+// ============== TOOL 7: FIND REFERENCES ==============
+
+server.registerTool(
+  "find_references",
+  {
+    title: "Find References",
+    description: "Lists every place a type or function name is used (calls, instantiations, type annotations, inheritance) with file, line and column, from the reference index built by init_swift_repo. Names bridged between Swift and Objective-C are found under both spellings.",
+    inputSchema: {
+      symbolName: z.string().describe("Name of the type or function (e.g. 'UserManager', 'fetch(id:)'), in Swift or Objective-C spelling ('fetchUserWithID:completion:')."),
+      includeDeclarations: z.boolean().optional().describe("Also list the declaration sites (default false)."),
+    },
+    outputSchema: {
+      name: z.string(),
+      aliases: z.array(z.string()).optional(),
+      total: z.number().int(),
+      files: z.number().int(),
+      references: z.array(referenceSchema.extend({ isDeclaration: z.boolean().optional() })),
+    },
+  },
+  async ({ symbolName, includeDeclarations = false }) => {
+    if (!astData) {
+      return { content: [{ type: "text", text: "❌ No AST loaded. Run init_swift_repo or load_ast first." }], isError: true };
+    }
+
+    const index = astData.indexes?.references;
+    if (!index) {
+      return { content: [{ type: "text", text: "❌ This AST has no reference index. Re-run init_swift_repo to build it." }], isError: true };
+    }
+
+    const [key, ...aliases] = referenceKeys(symbolName);
+    const refs = findReferences(symbolName, { includeDeclarations });
+
+    const byFile = new Map();
+    for (const ref of refs) {
+      if (!byFile.has(ref.file)) byFile.set(ref.file, []);
+      byFile.get(ref.file).push(ref);
+    }
+    const structured = {
+      name: key,
+      aliases: aliases.length > 0 ? aliases : undefined,
+      total: refs.length,
+      files: byFile.size,
+      references: refs.map(ref => ({ ...referenceSummary(ref), isDeclaration: ref.isDeclaration })),
+    };
+    if (refs.length === 0) {
+      return { content: [{ type: "text", text: `🔍 No references to "${key}" found.` }], structuredContent: structured };
+    }
+
+    let r = `🔗 References to ${key}\n${'━'.repeat(40)}\n\n`;
+    if (aliases.length > 0) r += `🌉 Also written as: ${aliases.join(', ')}\n`;
+    r += `📊 ${refs.length} reference${refs.length === 1 ? '' : 's'} in ${byFile.size} file${byFile.size === 1 ? '' : 's'}\n\n`;
+
+    const files = [...byFile.keys()];
+    for (const file of files.slice(0, 25)) {
+      const locations = byFile.get(file).map(ref => `${ref.line}:${ref.column}${ref.isDeclaration ? ' (decl)' : ''}`);
+      r += `• ${file}\n  └─ ${locations.join(', ')}\n`;
+    }
+    if (files.length > 25) r += `\n... +${files.length - 25} more files`;
+
+    return { content: [{ type: "text", text: r }], structuredContent: structured };
+  }
+);
+
+// ============== TOOL 8: CHANGE IMPACT ==============
+
+server.registerTool(
+  "analyze_change_impact",
+  {
+    title: "Analyze Change Impact",
+    description: "Maps a git diff onto the symbols it touches and lists the types and files that directly or transitively depend on them. Diffs the working tree against a git ref (untracked Swift and Objective-C files count as added), or analyzes a unified diff passed in. Run init_swift_repo on the changed checkout first.",
+    inputSchema: {
+      baseRef: z.string().optional().describe("Git ref to diff the working tree against (e.g. 'main', 'HEAD~1'). Defaults to HEAD."),
+      diff: z.string().optional().describe("Unified diff text to analyze instead of running git."),
+    },
+    outputSchema: {
+      source: z.string(),
+      changedFiles: z.array(z.object({ path: z.string(), status: z.enum(["added", "deleted", "modified", "untracked"]), lines: z.array(z.number().int()) })),
+      unindexed: z.array(z.string()),
+      changedSymbols: z.array(z.object({ name: z.string(), kind: z.string(), file: z.string() })),
+      dependents: z.array(dependentSchema),
+      affectedFiles: z.array(z.string()),
+    },
+  },
+  async ({ baseRef, diff }) => {
+    if (!astData) {
+      return { content: [{ type: "text", text: "❌ No AST loaded. Run init_swift_repo or load_ast first." }], isError: true };
+    }
+
+    let diffText = diff;
+    let untracked = [];
+    const source = diff ? 'provided diff' : `git diff ${baseRef || 'HEAD'}`;
+
+    if (!diffText) {
+      const ref = baseRef || 'HEAD';
+      if (ref.startsWith('-')) {
+        return { content: [{ type: "text", text: `❌ Invalid git ref "${ref}".` }], isError: true };
       }
-      
-      astData = {
-        repoPath,
-        generatedAt: new Date().toISOString(),
-        files,
-        dependencyGraph: { typeMap, edges },
-        indexes
+      try {
+        const { stdout } = await execWithFile('git', ['-C', repoPath, 'diff', '--unified=0', '--relative', '--no-color', '--no-ext-diff', ref, '--']);
+        diffText = stdout;
+        // git diff never lists untracked files; new Swift/Objective-C sources count as added in full
+        const { stdout: others } = await execWithFile('git', ['-C', repoPath, 'ls-files', '--others', '--exclude-standard', '-z']);
+        const extensions = [...projectConfig.extensions.swift, ...projectConfig.extensions.objc];
+        untracked = others.split('\0').filter(f => f && extensions.some(ext => f.endsWith(ext)));
+      } catch (error) {
+        return { content: [{ type: "text", text: `❌ Could not diff against "${ref}": ${error.message}` }], isError: true };
+      }
+    }
+
+    const changedFiles = parseUnifiedDiff(diffText);
+    for (const file of untracked) {
+      if (!changedFiles.some(f => f.path === file)) changedFiles.push({ path: file, added: true, deleted: false, untracked: true, lines: new Set() });
+    }
+    if (changedFiles.length === 0) {
+      return {
+        content: [{ type: "text", text: `✅ No changes found (${source}).` }],
+        structuredContent: { source, changedFiles: [], unindexed: [], changedSymbols: [], dependents: [], affectedFiles: [] },
       };
-      
-      // Save
-      const outputPath = path.join(repoPath, "app.json");
-      await fs.writeFile(outputPath, JSON.stringify(astData, null, 2));
-      
-      // Count totals
-      let classes = 0, structs = 0, protocols = 0, enums = 0, functions = 0;
-      for (const f of Object.values(files)) {
-        classes += f.symbols.classes.length;
-        structs += f.symbols.structs.length;
-        protocols += f.symbols.protocols.length;
-        enums += f.symbols.enums.length;
-        functions += f.symbols.functions.length;
+    }
+
+    const changedSymbols = [];
+    const seeds = new Set();
+    const unindexed = [];
+
+    const symbolLists = [
+      ['classes', 'class'], ['structs', 'struct'], ['protocols', 'protocol'], ['enums', 'enum'],
+      ['extensions', 'extension'], ['functions', 'function'], ['variables', 'variable'],
+    ];
+
+    for (const changed of changedFiles) {
+      const fullPath = resolveDiffFile(changed.path);
+      if (!fullPath) {
+        unindexed.push(changed.path);
+        continue;
       }
-      
-      let message = `✅ Initialized: ${repoPath}
 
-📱 Project: ${projectInfo.name} (${projectInfo.type})`;
-      
-      if (sourceFiles.swift.length > 0) {
-        message += `\n📊 Swift: ${sourceFiles.swift.length} files (${swiftProcessed} OK, ${swiftErrors} errors)`;
+      const fileData = astData.files[fullPath];
+      const rel = getRelativePath(fullPath);
+
+      // Deleted (or unreadable) files take every symbol they declared with them; untracked ones are new throughout
+      let byteRanges = null;
+      if (!changed.deleted && !changed.untracked) {
+        try {
+          byteRanges = linesToByteRanges(await fs.readFile(fullPath), changed.lines);
+        } catch {
+          byteRanges = null;
+        }
       }
-      
-      if (sourceFiles.objc.length > 0) {
-        if (clangAvailable) {
-          message += `\n📊 Objective-C: ${sourceFiles.objc.length} files (${objcProcessed} OK, ${objcErrors} errors)`;
-        } else {
-          message += `\n⚠️  Objective-C: ${sourceFiles.objc.length} files skipped (Clang not available)`;
+
+      for (const [listName, kind] of symbolLists) {
+        for (const s of fileData.symbols?.[listName] || []) {
+          const touched = byteRanges === null || (
+            s.offset !== undefined && s.length !== undefined &&
+            byteRanges.some(r => s.offset < r.end && s.offset + s.length > r.start)
+          );
+          if (!touched) continue;
+
+          changedSymbols.push({ name: s.qualifiedName || s.name, kind, file: rel });
+          if (kind === 'extension') seeds.add(s.key || s.extendedType || s.name);
+          else if (kind !== 'function' && kind !== 'variable') seeds.add(s.key || s.name);
         }
       }
-      
-      message += `\n   Classes: ${classes} | Structs: ${structs} | Protocols: ${protocols} | Enums: ${enums} | Functions: ${functions}
-   
-📄 Saved to: ${outputPath}`;
-      
-      return { content: [{ type: "text", text: message }] };
-    } catch (error) {
-      return { content: [{ type: "text", text: `❌ Error: ${error.message}` }] };
     }
+
+    const dependents = collectDependents(seeds);
+    const direct = dependents.filter(d => d.depth === 1);
+    const transitive = dependents.filter(d => d.depth > 1);
+
+    const affectedFiles = new Set(changedSymbols.map(s => s.file));
+    for (const d of dependents) {
+      for (const f of d.files) affectedFiles.add(f);
+    }
+
+    const kindOf = (name) => astData.dependencyGraph?.typeMap?.[name]?.kind || 'type';
+
+    let r = `💥 Change Impact (${source})\n${'━'.repeat(40)}\n\n`;
+
+    r += `📝 Changed files (${changedFiles.length}):\n`;
+    for (const f of changedFiles) {
+      const status = f.deleted ? ' [deleted]' : f.untracked ? ' [untracked]' : f.added ? ' [added]' : '';
+      r += `   • ${f.path}${status}${f.lines.size > 0 && !f.deleted ? ` (lines ${formatLineRanges(f.lines)})` : ''}\n`;
+    }
+    if (unindexed.length > 0) {
+      r += `   ⚠️ ${unindexed.length} not in the index (non-source or added after init), not analyzed: ${unindexed.slice(0, 5).join(', ')}${unindexed.length > 5 ? ', ...' : ''}\n`;
+    }
+
+    r += `\n✏️ Changed symbols (${changedSymbols.length}):\n`;
+    for (const s of changedSymbols) {
+      r += `   • ${s.name} (${s.kind}) in ${s.file}\n`;
+    }
+    if (changedSymbols.length === 0) {
+      r += `   None — changes fall outside indexed declarations\n`;
+    }
+
+    r += `\n🎯 Directly affected (${direct.length}):\n`;
+    for (const d of direct) {
+      r += `   • ${d.name} (${kindOf(d.name)}) in ${d.files.join(', ')} ← ${d.via}\n`;
+    }
+
+    r += `\n🌊 Transitively affected (${transitive.length}):\n`;
+    for (const d of transitive) {
+      r += `   • ${d.name} (${kindOf(d.name)}) in ${d.files.join(', ')} ← ${d.via} [${d.depth} hops]\n`;
+    }
+
+    r += `\n📁 Files affected (${affectedFiles.size}):\n`;
+    for (const f of [...affectedFiles].sort()) {
+      r += `   • ${f}\n`;
+    }
+
+    const structured = {
+      source,
+      changedFiles: changedFiles.map(f => ({
+        path: f.path,
+        status: f.deleted ? 'deleted' : f.untracked ? 'untracked' : f.added ? 'added' : 'modified',
+        lines: [...f.lines].sort((a, b) => a - b),
+      })),
+      unindexed,
+      changedSymbols,
+      dependents: dependents.map(dependentSummary),
+      affectedFiles: [...affectedFiles].sort(),
+    };
+
+    return { content: [{ type: "text", text: r }], structuredContent: structured };
   }
 );
 
-// ============== TOOL 2: LOAD ==============
+// ============== TOOL 9: IMPACT RADIUS ==============
 
 server.registerTool(
-  "load_ast",
+  "get_impact_radius",
   {
-    title: "Load AST",
-    description: "Load a previously generated app.json file.",
+    title: "Impact Radius",
+    description: "Lists everything that depends on a symbol, directly or transitively, grouped by hop distance. Reports the affected files and a Low/Medium/High risk level based on fan-in and accessibility.",
+    inputSchema: {
+      symbolName: z.string().describe("Name of the symbol to assess."),
+      maxDepth: z.number().int().min(1).max(10).optional().describe("Maximum number of hops to follow (default 3)."),
+      target: z.string().optional().describe("Only follow dependents in this Xcode target or package module."),
+    },
+    outputSchema: {
+      symbol: symbolSummarySchema,
+      maxDepth: z.number().int(),
+      target: z.string().optional(),
+      dependents: z.array(dependentSchema),
+      truncated: z.boolean(),
+      affectedFiles: z.array(z.string()),
+      risk: z.object({ level: z.enum(["Low", "Medium", "High"]), reasons: z.array(z.string()) }),
+    },
+  },
+  async ({ symbolName, maxDepth = 3, target }) => {
+    if (!astData) {
+      return { content: [{ type: "text", text: "❌ No AST loaded. Run init_swift_repo or load_ast first." }], isError: true };
+    }
+
+    const targetError = checkTargetFilter(target);
+    if (targetError) {
+      return { content: [{ type: "text", text: targetError }], isError: true };
+    }
+
+    const candidates = findSymbolCandidates(symbolName);
+    if (candidates.length > 1) {
+      return { content: [{ type: "text", text: formatAmbiguous(symbolName, candidates) }], isError: true };
+    }
+    const symbol = candidates[0] || findSymbol(symbolName);
+    if (!symbol) {
+      return { content: [{ type: "text", text: `❌ Symbol "${symbolName}" not found.` }], isError: true };
+    }
+    const symbolKey = symbol.key || symbol.name;
+    const displayName = symbol.qualifiedName || symbol.name;
+
+    // Walk one hop further than asked so we can tell whether the radius was cut off
+    const walked = collectDependents([symbolKey], maxDepth + 1, { target });
+    const dependents = walked.filter(d => d.depth <= maxDepth);
+    const truncated = walked.length > dependents.length;
+
+    const byDepth = new Map();
+    for (const d of dependents) {
+      if (!byDepth.has(d.depth)) byDepth.set(d.depth, []);
+      byDepth.get(d.depth).push(d);
+    }
+
+    const files = new Set();
+    for (const d of dependents) {
+      for (const f of d.files) files.add(f);
+    }
+
+    const fanIn = byDepth.get(1)?.length || 0;
+    const risk = assessRisk({
+      fanIn,
+      dependentCount: dependents.length,
+      fileCount: files.size,
+      accessibility: symbol.accessibility || 'internal',
+    });
+
+    const kindOf = (name) => astData.dependencyGraph?.typeMap?.[name]?.kind || 'type';
+    const riskIcon = { Low: '🟢', Medium: '🟡', High: '🔴' }[risk.level];
+
+    let r = `🎯 Impact Radius: ${displayName}\n${'━'.repeat(40)}\n\n`;
+    r += `📍 ${symbol.symbolKind} in ${symbol.file}\n`;
+    r += `🔒 ${symbol.accessibility || 'internal'}\n`;
+    r += `🔭 Depth: ${maxDepth} hop${maxDepth === 1 ? '' : 's'}\n`;
+    if (target) r += `🎯 Target: ${target}\n`;
+
+    if (dependents.length === 0) {
+      r += `\n✅ Nothing depends on ${displayName}\n`;
+    }
+
+    for (const [depth, items] of [...byDepth.entries()].sort((a, b) => a[0] - b[0])) {
+      r += `\nHop ${depth} (${items.length}):\n`;
+      for (const d of items) {
+        r += `   • ${d.name} (${kindOf(d.name)}) in ${d.files.join(', ')}${depth > 1 ? ` ← ${d.via}` : ''}\n`;
+      }
+    }
+    if (truncated) {
+      r += `\n   ... more dependents beyond ${maxDepth} hop${maxDepth === 1 ? '' : 's'} (increase maxDepth)\n`;
+    }
+
+    if (files.size > 0) {
+      r += `\n📁 Files affected (${files.size}):\n`;
+      for (const f of [...files].sort()) {
+        r += `   • ${f}\n`;
+      }
+    }
+
+    r += `\n${riskIcon} Risk: ${risk.level}\n`;
+    for (const reason of risk.reasons) {
+      r += `   • ${reason}\n`;
+    }
+
+    const structured = {
+      symbol: symbolSummary(symbol),
+      maxDepth,
+      target,
+      dependents: dependents.map(dependentSummary),
+      truncated,
+      affectedFiles: [...files].sort(),
+      risk,
+    };
+
+    return { content: [{ type: "text", text: r }], structuredContent: structured };
+  }
+);
+
+// ============== TOOL 10: REFRESH ==============
+
+server.registerTool(
+  "refresh_repo",
+  {
+    title: "Refresh Repository",
+    description: "Incrementally updates the loaded AST: re-parses only files that were added, changed or deleted since the last init/refresh and patches the type map, dependency edges and indexes in place. Much faster than init_swift_repo on large projects.",
     inputSchema: {
-      astPath: z.string().describe("Path to the app.json file."),
+      concurrency: z.number().int().min(1).optional().describe("Files parsed in parallel (default: CPU count)."),
+      timeoutSeconds: z.number().positive().optional().describe(`Per-file parse timeout in seconds (default ${DEFAULT_PARSE_TIMEOUT_SECONDS}).`),
+    },
+    outputSchema: {
+      repoPath: z.string(),
+      upToDate: z.boolean(),
+      added: z.array(z.string()),
+      changed: z.array(z.string()),
+      deleted: z.array(z.string()),
+      unchanged: z.number().int(),
+      xcodeChanged: z.boolean(),
+      builtinParserFiles: z.number().int(),
+      failed: z.array(z.string()),
+      seconds: z.number(),
+      outputPath: z.string().optional(),
     },
   },
-  async ({ astPath }) => {
+  async ({ concurrency = DEFAULT_CONCURRENCY, timeoutSeconds = DEFAULT_PARSE_TIMEOUT_SECONDS }) => {
+    if (!astData) {
+      return { content: [{ type: "text", text: "❌ No AST loaded. Run init_swift_repo or load_ast first." }], isError: true };
+    }
+
     try {
-      const content = await fs.readFile(astPath, "utf-8");
-      astData = JSON.parse(content);
-      repoPath = astData.repoPath;
-      
-      return { content: [{ type: "text", text: `✅ Loaded: ${astPath}
-📂 Repo: ${repoPath}
-📁 Files: ${Object.keys(astData.files || {}).length}
-🔗 Types: ${Object.keys(astData.dependencyGraph?.typeMap || {}).length}` }] };
+      const startedAt = Date.now();
+      const sourceFiles = await findSourceFiles(repoPath);
+      const currentPaths = [...sourceFiles.swift, ...sourceFiles.objc];
+
+      let clangAvailable = true;
+      try {
+        await execWithFile('which', [projectConfig.tools.clang]);
+      } catch {
+        clangAvailable = false;
+      }
+
+      // Classify files: mtime first, then content hash for files that were touched
+      const added = [], changed = [], deleted = [];
+      let unchanged = 0;
+      for (const file of currentPaths) {
+        const existing = astData.files[file];
+        if (!existing) {
+          added.push(file);
+          continue;
+        }
+        const { mtimeMs } = await fs.stat(file);
+        if (existing.mtimeMs === mtimeMs) {
+          unchanged++;
+          continue;
+        }
+        const fingerprint = await fingerprintFile(file);
+        if (existing.hash === fingerprint.hash) {
+          existing.mtimeMs = fingerprint.mtimeMs;
+          unchanged++;
+        } else {
+          changed.push(file);
+        }
+      }
+      const current = new Set(currentPaths);
+      for (const file of Object.keys(astData.files)) {
+        if (!current.has(file)) deleted.push(file);
+      }
+
+      // Target membership lives in project.pbxproj and can change without any source edit
+      const xcodeProjects = await readXcodeProjects(await detectProjectType(repoPath), repoPath);
+      const xcodeBefore = JSON.stringify(astData.xcode ?? null);
+      astData.xcode = xcodeProjects ? assignXcodeTargets(astData.files, xcodeProjects, currentPaths) : null;
+      const xcodeChanged = JSON.stringify(astData.xcode) !== xcodeBefore;
+
+      if (added.length === 0 && changed.length === 0 && deleted.length === 0 && !xcodeChanged) {
+        return {
+          content: [{ type: "text", text: `✅ Up to date: ${repoPath}\n📁 ${unchanged} files unchanged` }],
+          structuredContent: {
+            repoPath, upToDate: true, added: [], changed: [], deleted: [], unchanged,
+            xcodeChanged: false, builtinParserFiles: 0, failed: [], seconds: (Date.now() - startedAt) / 1000,
+          },
+        };
+      }
+
+      const toParse = [...added, ...changed];
+      let sourceKittenAvailable = true;
+      try {
+        await execWithFile('which', [projectConfig.tools.sourcekitten]);
+      } catch {
+        sourceKittenAvailable = false;
+      }
+
+      // Re-parse with the Clang settings init used; files that no longer parse are dropped like they are on init
+      const parsed = {};
+      const failed = toParse.filter(f => !isSwiftSource(f) && !clangAvailable);
+      const failures = [];
+      const parseable = toParse.filter(f => isSwiftSource(f) || clangAvailable);
+      const clang = clangAvailable && parseable.some(f => !isSwiftSource(f))
+        ? await createClangSettings(repoPath, astData.clang || {}, sourceFiles.objc)
+        : null;
+      for (const { file, fileData, error } of await parseSourceFiles(parseable, { concurrency, timeoutSeconds, useSourceKitten: sourceKittenAvailable, clang })) {
+        if (error) {
+          failed.push(file);
+          failures.push({ file, error });
+        } else {
+          parsed[file] = fileData;
+        }
+      }
+
+      const { indexes } = astData;
+      const dirtyPaths = [...toParse, ...deleted];
+      const dirtyRels = new Set(dirtyPaths.map(file => getRelativePath(file)));
+      const namesBefore = collectReferenceNames(astData.files, astData.dependencyGraph.typeMap, indexes.bridging);
+
+      for (const file of [...deleted, ...failed]) delete astData.files[file];
+      // Pick up target changes in Package.swift; retag everything if they moved
+      const packageInfo = await readPackageManifest(repoPath);
+      const packageChanged = JSON.stringify(packageInfo) !== JSON.stringify(astData.package ?? null);
+      astData.package = packageInfo;
+      if (packageInfo) assignModules(packageChanged ? astData.files : parsed, packageInfo);
+      Object.assign(astData.files, parsed);
+
+      if (xcodeProjects) astData.xcode = assignXcodeTargets(astData.files, xcodeProjects, currentPaths);
+
+      // Type map and edges: cheap to rebuild, and a new declaration can change
+      // the key of an existing same-named type or what a name resolves to
+      const graph = buildDependencyGraph(astData.files);
+      astData.dependencyGraph = graph;
+      const { typeMap } = graph;
+
+      // Name/kind/file indexes
+      for (const rel of dirtyRels) removeFromIndexes(indexes, rel);
+      for (const [file, fileData] of Object.entries(parsed)) {
+        addToIndexes(indexes, getRelativePath(file), fileData);
+      }
+
+      // Bridged names depend on what the bridging header imports, so they are rebuilt whole
+      indexes.bridging = await buildBridging(astData.files, currentPaths, xcodeProjects);
+
+      // References: a new or removed name means every file has to be rescanned
+      const namesAfter = collectReferenceNames(astData.files, typeMap, indexes.bridging);
+      const namesChanged = namesBefore.size !== namesAfter.size || [...namesAfter].some(n => !namesBefore.has(n));
+      if (namesChanged || !indexes.references) {
+        indexes.references = await buildReferenceIndex(astData.files, typeMap, currentPaths, indexes.bridging);
+      } else {
+        for (const [name, refs] of Object.entries(indexes.references)) {
+          const remaining = refs.filter(ref => !dirtyRels.has(ref.file));
+          if (remaining.length > 0) indexes.references[name] = remaining;
+          else delete indexes.references[name];
+        }
+        const rescanned = await buildReferenceIndex(astData.files, typeMap, toParse, indexes.bridging);
+        for (const [name, refs] of Object.entries(rescanned)) {
+          indexes.references[name] = [...(indexes.references[name] || []), ...refs];
+        }
+      }
+
+      astData.generatedAt = new Date().toISOString();
+      const outputPath = await saveAstData();
+      notifyResourcesUpdated();
+
+      let message = `🔄 Refreshed: ${repoPath}\n\n`;
+      message += `➕ Added: ${added.length}\n`;
+      message += `✏️ Changed: ${changed.length}\n`;
+      message += `➖ Deleted: ${deleted.length}\n`;
+      message += `📁 Unchanged: ${unchanged}\n`;
+      if (xcodeChanged) message += `🎯 Target membership changed (project.pbxproj)\n`;
+      const builtinCount = Object.values(parsed).filter(f => f.parser === 'builtin').length;
+      if (builtinCount > 0) {
+        message += `🔧 ${builtinCount} Swift files parsed with the ${PARSER_LABELS.builtin}\n`;
+      }
+      if (failed.length > 0) {
+        message += `⚠️ ${failed.length} files failed to parse and were dropped:\n`;
+        for (const f of failed.slice(0, 10)) {
+          const failure = failures.find(x => x.file === f);
+          message += `   • ${failure ? formatParseFailure(failure) : `${getRelativePath(f)}: Clang not available`}\n`;
+        }
+        if (failed.length > 10) message += `   ... +${failed.length - 10} more\n`;
+      }
+      const seconds = (Date.now() - startedAt) / 1000;
+      message += `\n⏱️ ${seconds.toFixed(1)}s\n${savedLine(outputPath)}`;
+
+      const structured = {
+        repoPath,
+        upToDate: false,
+        added: added.map(file => getRelativePath(file)),
+        changed: changed.map(file => getRelativePath(file)),
+        deleted: deleted.map(file => getRelativePath(file)),
+        unchanged,
+        xcodeChanged,
+        builtinParserFiles: builtinCount,
+        failed: failed.map(file => getRelativePath(file)),
+        seconds,
+        outputPath: outputPath || undefined,
+      };
+
+      return { content: [{ type: "text", text: message }], structuredContent: structured };
     } catch (error) {
-      return { content: [{ type: "text", text: `❌ Error: ${error.message}` }] };
+      return { content: [{ type: "text", text: `❌ Error: ${error.message}` }], isError: true };
     }
   }
 );
 
-// ============== TOOL 3: EXPLAIN (main tool) ==============
+// ============== TOOL 11: CHECK CONFORMANCES ==============
 
 server.registerTool(
-  "explain_symbol",
+  "check_conformances",
   {
-    title: "Explain Symbol",
-    description: "Explains how a class, struct, protocol, enum, or function works and is used. This is the main analysis tool.",
+    title: "Check Protocol Conformances",
+    description: "Audits protocol conformances: lists each conforming type (including conformances added in extensions and categories) and which required properties, methods and initializers it implements, gets from a protocol-extension default, or appears to be missing. Checks one protocol, or every protocol in the repo when none is given.",
     inputSchema: {
-      symbolName: z.string().describe("Name of the symbol to explain."),
+      protocolName: z.string().optional().describe("Protocol to audit. Omit to audit every protocol with conformers."),
+    },
+    outputSchema: {
+      protocols: z.array(protocolAuditSchema),
     },
   },
-  async ({ symbolName }) => {
+  async ({ protocolName }) => {
     if (!astData) {
-      return { content: [{ type: "text", text: "❌ No AST loaded. Run init_swift_repo or load_ast first." }] };
-    }
-    
-    const symbol = findSymbol(symbolName);
-    if (!symbol) {
-      return { content: [{ type: "text", text: `❌ Symbol "${symbolName}" not found.` }] };
-    }
-    
-    // Get pre-extracted members
-    const fullPath = path.join(repoPath, symbol.file);
-    const fileData = astData.files?.[fullPath];
-    const members = fileData?.memberData?.[symbolName] || { properties: [], methods: [], initializers: [] };
-    
-    // Find usages
-    const inheritedBy = (astData.dependencyGraph?.edges || [])
-      .filter(e => e.toSymbol === symbolName)
-      .map(e => ({ name: e.fromSymbol, file: e.from }));
-    
-    const extensions = [];
-    const referencedIn = [];
-    
-    // Quick check: files that contain a symbol with this exact name (using index)
-    const filesWithSymbol = new Set();
-    const symbolLocations = astData.indexes?.byName?.[symbolName] || [];
-    for (const loc of symbolLocations) {
-      if (loc.file !== symbol.file) {
-        filesWithSymbol.add(loc.file);
-      }
+      return { content: [{ type: "text", text: "❌ No AST loaded. Run init_swift_repo or load_ast first." }], isError: true };
     }
-    
-    for (const [filePath, fd] of Object.entries(astData.files || {})) {
-      const rel = getRelativePath(filePath);
-      if (rel === symbol.file) continue;
-      
-      // Extensions
-      for (const ext of fd.symbols?.extensions || []) {
-        if (ext.name === symbolName) {
-          extensions.push({ file: rel, conformances: ext.inheritedTypes || [] });
-        }
-      }
-      
-      // References: Check if file uses this symbol (as type or inheritance)
-      const usesSymbol = 
-        filesWithSymbol.has(rel) ||  // Has a symbol with exact same name (from index)
-        Object.values(fd.symbols || {}).some(symbolList => 
-          symbolList.some(s => 
-            s.typeName === symbolName ||
-            s.inheritedTypes?.includes(symbolName)
-          )
-        );
 
-      if (usesSymbol) referencedIn.push(rel);
-    }
-    
-    // Build response
-    let r = `📖 ${symbolName}\n${'━'.repeat(40)}\n\n`;
-    r += `📍 ${symbol.symbolKind} in ${symbol.file}\n`;
-    r += `🔒 ${symbol.accessibility || 'internal'}\n`;
-    
-    if (symbol.inheritedTypes?.length > 0) {
-      r += `\n📎 Inherits/Conforms to:\n`;
-      for (const t of symbol.inheritedTypes) {
-        const info = astData.dependencyGraph?.typeMap?.[t];
-        r += `   • ${t}${info ? ` (${info.kind} in ${info.file})` : ' (external)'}\n`;
+    const typeMap = astData.dependencyGraph?.typeMap || {};
+
+    if (protocolName) {
+      const candidates = findSymbolCandidates(protocolName).filter(c => c.symbolKind === 'protocol');
+      if (candidates.length > 1) {
+        return { content: [{ type: "text", text: formatAmbiguous(protocolName, candidates) }], isError: true };
       }
-    }
-    
-    if (members.properties.length > 0) {
-      r += `\n📝 Properties (${members.properties.length}):\n`;
-      for (const p of members.properties.slice(0, 10)) {
-        r += `   • ${p.name}${p.type ? `: ${p.type}` : ''}${p.access && p.access !== 'internal' ? ` [${p.access}]` : ''}\n`;
+      const protocol = candidates[0] || findSymbol(protocolName);
+      if (!protocol) {
+        return { content: [{ type: "text", text: `❌ Protocol "${protocolName}" not found.` }], isError: true };
       }
-      if (members.properties.length > 10) r += `   ... +${members.properties.length - 10} more\n`;
-    }
-    
-    if (members.initializers.length > 0) {
-      r += `\n🔨 Initializers (${members.initializers.length}):\n`;
-      for (const i of members.initializers) {
-        r += `   • ${i.name}${i.access && i.access !== 'internal' ? ` [${i.access}]` : ''}\n`;
+      if (protocol.symbolKind !== 'protocol') {
+        return { content: [{ type: "text", text: `❌ "${protocolName}" is a ${protocol.symbolKind}, not a protocol.` }], isError: true };
       }
-    }
-    
-    if (members.methods.length > 0) {
-      r += `\n⚡ Methods (${members.methods.length}):\n`;
-      for (const m of members.methods.slice(0, 10)) {
-        r += `   • ${m.name}${m.returnType ? ` → ${m.returnType}` : ''}${m.access && m.access !== 'internal' ? ` [${m.access}]` : ''}\n`;
+
+      const protocolKey = protocol.key || protocol.name;
+      const audit = auditProtocol(protocolKey);
+      const { requirements, conformers } = audit;
+
+      let r = `📜 Conformances: ${protocol.qualifiedName || protocol.name}\n${'━'.repeat(40)}\n\n`;
+      r += `📍 protocol in ${protocol.file}\n`;
+
+      r += `\n📋 Requirements (${requirements.length}):\n`;
+      for (const req of requirements) {
+        const notes = [];
+        if (req.protocol !== protocolKey) notes.push(`from ${req.protocol}`);
+        if (req.optional) notes.push('optional');
+        if (req.defaultIn) notes.push(`default in ${req.defaultIn}`);
+        r += `   • ${req.name} (${req.kind})${notes.length > 0 ? ` — ${notes.join(', ')}` : ''}\n`;
       }
-      if (members.methods.length > 10) r += `   ... +${members.methods.length - 10} more\n`;
-    }
-    
-    r += `\n🔗 Usage:\n`;
-    if (inheritedBy.length > 0) {
-      r += `   Inherited by: ${inheritedBy.map(x => x.name).join(', ')}\n`;
+      if (requirements.length === 0) r += `   None\n`;
+
+      const incomplete = conformers.filter(c => c.missing.length > 0).length;
+      r += `\n🧩 Conformers (${conformers.length}${incomplete > 0 ? `, ${incomplete} incomplete` : ''}):\n`;
+      for (const c of conformers.slice(0, 25)) r += formatConformer(c, '   ');
+      if (conformers.length > 25) r += `   ... +${conformers.length - 25} more\n`;
+      if (conformers.length === 0) r += `   None in the index\n`;
+
+      return {
+        content: [{ type: "text", text: r }],
+        structuredContent: { protocols: [protocolAuditSummary(protocolKey, protocol.file, audit)] },
+      };
     }
-    if (extensions.length > 0) {
-      r += `   Extended in: ${extensions.map(x => x.file).join(', ')}\n`;
+
+    // Whole repo: every protocol that has at least one conformer
+    const audits = [];
+    for (const [key, info] of Object.entries(typeMap)) {
+      if (info.kind !== 'protocol') continue;
+      const audit = auditProtocol(key);
+      if (audit.conformers.length > 0) audits.push({ key, file: info.file, ...audit });
     }
-    if (referencedIn.length > 0) {
-      r += `   Referenced in: ${referencedIn.slice(0, 5).join(', ')}${referencedIn.length > 5 ? ` +${referencedIn.length - 5} more` : ''}\n`;
+    if (audits.length === 0) {
+      return { content: [{ type: "text", text: `📜 No protocol in the index has conforming types.` }], structuredContent: { protocols: [] } };
     }
-    if (inheritedBy.length === 0 && extensions.length === 0 && referencedIn.length === 0) {
-      r += `   ⚠️ No usages found (may be entry point or use composition)\n`;
+
+    const incompleteOf = (a) => a.conformers.filter(c => c.missing.length > 0);
+    audits.sort((a, b) => incompleteOf(b).length - incompleteOf(a).length || a.key.localeCompare(b.key));
+    const conformanceCount = audits.reduce((n, a) => n + a.conformers.length, 0);
+    const incompleteCount = audits.reduce((n, a) => n + incompleteOf(a).length, 0);
+
+    let r = `📜 Conformance Audit\n${'━'.repeat(40)}\n\n`;
+    r += `📊 ${audits.length} protocols, ${conformanceCount} conformances, ${incompleteCount} incomplete\n`;
+
+    for (const audit of audits.slice(0, 25)) {
+      const incomplete = incompleteOf(audit);
+      if (incomplete.length === 0) {
+        r += `\n✅ ${audit.key} (${audit.file}) — ${audit.conformers.length} conformer${audit.conformers.length === 1 ? '' : 's'}, all complete\n`;
+        continue;
+      }
+      r += `\n⚠️ ${audit.key} (${audit.file}) — ${incomplete.length} of ${audit.conformers.length} conformers incomplete\n`;
+      for (const c of incomplete.slice(0, 10)) r += formatConformer(c, '   ');
+      if (incomplete.length > 10) r += `   ... +${incomplete.length - 10} more\n`;
     }
-    
-    return { content: [{ type: "text", text: r }] };
+    if (audits.length > 25) r += `\n... +${audits.length - 25} more protocols\n`;
+
+    return {
+      content: [{ type: "text", text: r }],
+      structuredContent: { protocols: audits.map(a => protocolAuditSummary(a.key, a.file, a)) },
+    };
   }
 );
 
-// ============== TOOL 4: SEARCH ==============
+// ============== TOOL 12: FIND UNUSED SYMBOLS ==============
 
 server.registerTool(
-  "search_symbols",
+  "find_unused_symbols",
   {
-    title: "Search Symbols",
-    description: "Search for classes, structs, protocols, functions, or enums by name.",
+    title: "Find Unused Symbols",
+    description: "Finds types and functions nothing in the repo refers to, using the dependency graph and the reference index. Uses inside a symbol's own declaration and extensions don't count. Likely entry points are skipped: @main types, AppDelegate/SceneDelegate, XCTest cases, overrides, @objc/@IBAction/@IBOutlet members and methods that may implement a framework delegate or data source.",
     inputSchema: {
-      query: z.string().describe("Search query (partial match)."),
-      type: z.enum(["all", "class", "struct", "protocol", "function", "enum"]).optional().describe("Filter by type."),
+      kind: z.enum(["all", "class", "struct", "protocol", "enum", "function"]).optional().describe("Only report this kind (default: all)"),
+      accessibility: z.array(z.enum(["private", "fileprivate", "internal", "public", "open"])).optional().describe("Only report symbols with these access levels, e.g. [\"private\", \"fileprivate\"] for certain dead code"),
+      directory: z.string().optional().describe("Only report symbols declared under this directory (relative to the repo root)"),
+    },
+    outputSchema: {
+      unused: z.array(z.object({
+        kind: z.string(),
+        name: z.string(),
+        file: z.string(),
+        accessibility: z.string().optional(),
+        container: z.string().optional(),
+        defaultImplementation: z.object({ container: z.string(), file: z.string() }).optional(),
+      })),
+      entryPointsSkipped: z.number().int(),
     },
   },
-  async ({ query, type = "all" }) => {
+  async ({ kind = "all", accessibility, directory }) => {
     if (!astData) {
-      return { content: [{ type: "text", text: "❌ No AST loaded." }] };
+      return { content: [{ type: "text", text: "❌ No AST loaded. Run init_swift_repo or load_ast first." }], isError: true };
     }
-    
-    const results = [];
-    const q = query.toLowerCase();
-    
+    const references = astData.indexes?.references;
+    if (!references) {
+      return { content: [{ type: "text", text: "❌ This app.json has no reference index. Re-run init_swift_repo to build it." }], isError: true };
+    }
+
+    const typeMap = astData.dependencyGraph?.typeMap || {};
+    const edges = astData.dependencyGraph?.edges || [];
+    const lookup = typeLookup(typeMap, astData.files || {});
+    const lineOf = createLineLocator();
+    const dirPrefix = directory ? directory.replace(/^\.?\/+|\/+$/g, '') + '/' : null;
+
+    const inScope = (symbol, symbolKind) =>
+      (kind === 'all' || kind === symbolKind) &&
+      (!accessibility || accessibility.includes(symbol.accessibility || 'internal')) &&
+      (!dirPrefix || symbol.file.startsWith(dirPrefix));
+
+    // Use sites by simple name in either language; same-named types elsewhere count only where the name resolves to this one
+    const usesOf = (name, key) => {
+      const refs = findReferences(name) || [];
+      const namesakes = key ? lookup.keysByName.get(name) || [] : [];
+      if (namesakes.length <= 1) return refs;
+      return refs.filter(ref => resolveTypeKey(name, { rel: ref.file, fileData: lookup.fileDataOf(ref.file) }, lookup) === key);
+    };
+    // An Objective-C class is "used" by its own @implementation: treat header and .m as one
+    const objcFilesByStem = new Map();
+    for (const filePath of Object.keys(astData.files || {})) {
+      const rel = getRelativePath(filePath);
+      if (!/\.(h|m|mm)$/.test(rel)) continue;
+      const stem = rel.replace(/\.\w+$/, '');
+      objcFilesByStem.set(stem, [...(objcFilesByStem.get(stem) || []), rel]);
+    }
+    const counterpart = (file) => (objcFilesByStem.get(file.replace(/\.\w+$/, '')) || []).filter(rel => rel !== file);
+
+    const unused = [];
+    let entryPoints = 0;
+
+    for (const [key, info] of Object.entries(typeMap)) {
+      const symbol = info.symbol;
+      if (!inScope({ ...symbol, file: info.file }, info.kind)) continue;
+      if (isEntryPointType(key)) { entryPoints++; continue; }
+      if (edges.some(e => e.toSymbol === key && e.fromSymbol !== key)) continue;
+
+      const spans = [
+        { file: info.file, offset: symbol.offset, length: symbol.length },
+        ...findExtensions(key, symbol.name).map(ext => ({ file: ext.file, offset: ext.offset, length: ext.length })),
+        ...counterpart(info.file).map(file => ({ file })),
+      ];
+      if (await hasOutsideReference(usesOf(symbol.name, key), spans, lineOf)) continue;
+      unused.push({ kind: info.kind, name: symbol.qualifiedName || symbol.name, file: info.file, accessibility: symbol.accessibility });
+    }
+
+    // Member functions of the same type and name are one entry when one is a protocol
+    // requirement and the other its default implementation in a protocol extension
+    const candidates = [];
     for (const [filePath, fileData] of Object.entries(astData.files || {})) {
       const rel = getRelativePath(filePath);
-      const add = (symbols, kind) => {
-        for (const s of symbols || []) {
-          if (s.name?.toLowerCase().includes(q)) {
-            results.push({ name: s.name, kind, file: rel, inherited: s.inheritedTypes });
-          }
+      for (const fn of fileData.symbols?.functions || []) {
+        if (!inScope({ ...fn, file: rel }, 'function')) continue;
+        // Initializers, subscripts and operators are called without their name
+        if (/^(init|deinit|subscript)\b/.test(fn.name) || !/^[A-Za-z_]/.test(fn.name)) continue;
+
+        const qualifiedName = fn.qualifiedName || fn.name;
+        const nameStart = qualifiedName.indexOf('(') >= 0 ? qualifiedName.indexOf('(') : qualifiedName.length;
+        const parent = qualifiedName.slice(0, Math.max(qualifiedName.lastIndexOf('.', nameStart), 0));
+        const parentKey = parent ? resolveTypeKey(parent, { rel, fileData }, lookup) : null;
+        // Requirements and defaults of an in-repo protocol count too: it may refine a framework protocol
+        if (hasEntryPointAttribute(fn) || fn.attributes?.includes('override') ||
+            (parentKey && isEntryPointType(parentKey)) ||
+            (parentKey && externalConformances(parentKey, lookup).some(t => FRAMEWORK_CALLED_PROTOCOLS.test(t)))) {
+          entryPoints++;
+          continue;
         }
-      };
-      
-      if (type === "all" || type === "class") add(fileData.symbols?.classes, "class");
-      if (type === "all" || type === "struct") add(fileData.symbols?.structs, "struct");
-      if (type === "all" || type === "protocol") add(fileData.symbols?.protocols, "protocol");
-      if (type === "all" || type === "function") add(fileData.symbols?.functions, "function");
-      if (type === "all" || type === "enum") add(fileData.symbols?.enums, "enum");
+
+        const container = parentKey ? functionContainer(fn, rel, parentKey) : undefined;
+        const isProtocol = typeMap[parentKey]?.kind === 'protocol';
+        candidates.push({
+          fn, rel, qualifiedName, parentKey, container,
+          role: isProtocol ? (container?.extension ? 'default' : 'requirement') : undefined,
+          spans: [{ file: rel, offset: fn.offset, length: fn.length }],
+        });
+      }
     }
-    
-    if (results.length === 0) {
-      return { content: [{ type: "text", text: `🔍 No results for "${query}"` }] };
+    const requirements = new Map(candidates.filter(c => c.role === 'requirement').map(c => [`${c.parentKey} ${c.fn.name}`, c]));
+    for (const c of candidates.filter(c => c.role === 'default')) {
+      const requirement = requirements.get(`${c.parentKey} ${c.fn.name}`);
+      if (!requirement) continue;
+      requirement.defaultImplementation = c;
+      requirement.spans.push(...c.spans);
+      c.merged = true;
     }
-    
-    let r = `🔍 Found ${results.length} results for "${query}"\n\n`;
-    for (const item of results.slice(0, 25)) {
-      r += `• ${item.name} (${item.kind})`;
-      if (item.inherited?.length > 0) r += ` : ${item.inherited.join(', ')}`;
-      r += `\n  └─ ${item.file}\n`;
+
+    for (const c of candidates) {
+      if (c.merged || await hasOutsideReference(usesOf(c.fn.name, null), c.spans, lineOf)) continue;
+      const d = c.defaultImplementation;
+      unused.push({
+        kind: 'function', name: c.qualifiedName, file: c.rel, accessibility: c.fn.accessibility,
+        container: c.container?.label,
+        defaultImplementation: d ? { container: d.container.label, file: d.rel } : undefined,
+      });
     }
-    if (results.length > 25) r += `\n... +${results.length - 25} more`;
-    
-    return { content: [{ type: "text", text: r }] };
+
+    const filters = [];
+    if (kind !== 'all') filters.push(`kind ${kind}`);
+    if (accessibility) filters.push(`access ${accessibility.join('/')}`);
+    if (dirPrefix) filters.push(`in ${dirPrefix}`);
+
+    let r = `🧹 Unused Symbols\n${'━'.repeat(40)}\n\n`;
+    if (filters.length > 0) r += `🔍 Filters: ${filters.join(', ')}\n`;
+    if (unused.length === 0) {
+      r += `✅ No unused symbols found (${entryPoints} likely entry points skipped)\n`;
+      return { content: [{ type: "text", text: r }], structuredContent: { unused: [], entryPointsSkipped: entryPoints } };
+    }
+
+    const byKind = {};
+    for (const u of unused) (byKind[u.kind] ||= []).push(u);
+    const summary = Object.entries(byKind).map(([k, list]) => `${list.length} ${list.length === 1 ? k : kindToPlural[k]}`).join(', ');
+    r += `📊 ${unused.length} unused (${summary}), ${entryPoints} likely entry points skipped\n`;
+
+    for (const [k, list] of Object.entries(byKind)) {
+      list.sort((a, b) => a.file.localeCompare(b.file) || a.name.localeCompare(b.name));
+      r += `\n${kindToPlural[k].replace(/^./, c => c.toUpperCase())} (${list.length}):\n`;
+      for (const u of list.slice(0, 40)) {
+        const exported = u.accessibility === 'public' || u.accessibility === 'open' ? ' — public, may be used outside the repo' : '';
+        // The qualified name already says which type; protocol and extension members also say where
+        const container = /^(protocol|extension) /.test(u.container || '') ? ` (${u.container})` : '';
+        const withDefault = u.defaultImplementation ? `, default in ${u.defaultImplementation.container}${u.defaultImplementation.file !== u.file ? ` (${u.defaultImplementation.file})` : ''}` : '';
+        r += `   • ${u.name}${container} in ${u.file} [${u.accessibility || 'internal'}]${withDefault}${exported}\n`;
+      }
+      if (list.length > 40) r += `   ... +${list.length - 40} more\n`;
+    }
+
+    r += `\n💡 Names are matched textually: selectors, storyboards, string lookups and reflection aren't seen. Check before deleting.\n`;
+
+    return {
+      content: [{ type: "text", text: r }],
+      structuredContent: { unused: Object.values(byKind).flat(), entryPointsSkipped: entryPoints },
+    };
   }
 );
 
-// ============== TOOL 5: STATS ==============
+// ============== TOOL 13: EXPORT GRAPH ==============
 
 server.registerTool(
-  "get_codebase_stats",
+  "export_graph",
   {
-    title: "Codebase Statistics",
-    description: "Get an overview of the codebase.",
-    inputSchema: {},
+    title: "Export Dependency Graph",
+    description: "Renders the dependency graph as Graphviz DOT, Mermaid or GraphML for design docs and PR descriptions. Nodes are types or files; edges point from the dependent to what it depends on. Can be limited to the neighbourhood of a root symbol, a directory or one kind of type.",
+    inputSchema: {
+      format: z.enum(["mermaid", "dot", "graphml"]).optional().describe("Output format (default mermaid)"),
+      level: z.enum(["type", "file"]).optional().describe("Graph of types, or of the files declaring them (default type)"),
+      rootSymbol: z.string().optional().describe("Only include what is within `depth` hops of this symbol"),
+      depth: z.number().int().min(1).max(10).optional().describe("Hops to follow from rootSymbol (default 2)"),
+      direction: z.enum(["dependencies", "dependents", "both"]).optional().describe("From rootSymbol, follow what it depends on, what depends on it, or both (default both)"),
+      directory: z.string().optional().describe("Only include types declared under this directory (relative to the repo root)"),
+      kind: z.enum(["class", "struct", "protocol", "enum"]).optional().describe("Only include types of this kind"),
+    },
+    outputSchema: {
+      format: z.string(),
+      level: z.string(),
+      nodes: z.array(z.object({ id: z.string(), kind: z.string(), file: z.string().optional() })),
+      edges: z.array(z.object({ from: z.string(), to: z.string(), links: z.array(linkPairSchema) })),
+      rendered: z.string().optional(),
+    },
   },
-  async () => {
+  async ({ format = "mermaid", level = "type", rootSymbol, depth = 2, direction = "both", directory, kind }) => {
     if (!astData) {
-      return { content: [{ type: "text", text: "❌ No AST loaded." }] };
+      return { content: [{ type: "text", text: "❌ No AST loaded. Run init_swift_repo or load_ast first." }], isError: true };
     }
-    
-    let classes = 0, structs = 0, protocols = 0, enums = 0, functions = 0, extensions = 0;
-    const fileSizes = [];
-    
-    for (const [filePath, fileData] of Object.entries(astData.files || {})) {
-      const s = fileData.symbols;
-      classes += s.classes?.length || 0;
-      structs += s.structs?.length || 0;
-      protocols += s.protocols?.length || 0;
-      enums += s.enums?.length || 0;
-      functions += s.functions?.length || 0;
-      extensions += s.extensions?.length || 0;
-      
-      const total = (s.classes?.length || 0) + (s.structs?.length || 0) + (s.protocols?.length || 0) + 
-                   (s.enums?.length || 0) + (s.functions?.length || 0);
-      fileSizes.push({ file: getRelativePath(filePath), count: total });
+
+    let root;
+    if (rootSymbol) {
+      const candidates = findSymbolCandidates(rootSymbol);
+      if (candidates.length > 1) {
+        return { content: [{ type: "text", text: formatAmbiguous(rootSymbol, candidates) }], isError: true };
+      }
+      const symbol = candidates[0] || findSymbol(rootSymbol);
+      if (!symbol) {
+        return { content: [{ type: "text", text: `❌ Symbol "${rootSymbol}" not found.` }], isError: true };
+      }
+      root = symbol.key || symbol.name;
     }
-    
-    fileSizes.sort((a, b) => b.count - a.count);
-    
-    const fileCount = Object.keys(astData.files).length;
-    const total = classes + structs + protocols + enums;
-    
-    let r = `📊 Codebase Statistics\n${'━'.repeat(40)}\n\n`;
-    r += `📁 ${fileCount} Swift files\n\n`;
-    r += `📦 Types: ${total}\n`;
-    r += `   Classes:    ${classes}\n`;
-    r += `   Structs:    ${structs}\n`;
-    r += `   Protocols:  ${protocols}\n`;
-    r += `   Enums:      ${enums}\n`;
-    r += `   Extensions: ${extensions}\n`;
-    r += `   Functions:  ${functions}\n\n`;
-    r += `📄 Largest files:\n`;
-    for (const f of fileSizes.slice(0, 5)) {
-      r += `   ${f.count.toString().padStart(3)} symbols → ${f.file}\n`;
+
+    const graph = selectGraph({ level, root, depth, direction, directory, kind });
+    if (graph.edges.length === 0 && !root) {
+      return {
+        content: [{ type: "text", text: "🕸️ No dependencies match these filters." }],
+        structuredContent: { format, level, nodes: [], edges: [] },
+      };
     }
-    
-    return { content: [{ type: "text", text: r }] };
+
+    const rendered = format === 'dot' ? renderDot(graph) : format === 'graphml' ? renderGraphML(graph) : renderMermaid(graph);
+    const fence = format === 'graphml' ? 'xml' : format;
+
+    const filters = [];
+    if (root) filters.push(`${direction} of ${root} within ${depth} hop${depth === 1 ? '' : 's'}`);
+    if (directory) filters.push(`in ${directory}`);
+    if (kind) filters.push(`${kind} only`);
+
+    let r = `🕸️ Dependency Graph (${level} level, ${format})\n${'━'.repeat(40)}\n\n`;
+    r += `📊 ${graph.nodes.size} node${graph.nodes.size === 1 ? '' : 's'}, ${graph.edges.length} edge${graph.edges.length === 1 ? '' : 's'}\n`;
+    if (filters.length > 0) r += `🔍 ${filters.join(', ')}\n`;
+    if (graph.nodes.size > 100) r += `💡 Large graph: narrow it with rootSymbol, directory or kind for a readable diagram\n`;
+    r += `\n\`\`\`${fence}\n${rendered}\n\`\`\`\n`;
+
+    const structured = {
+      format,
+      level,
+      nodes: [...graph.nodes.values()].map(({ id, kind, file }) => ({ id, kind, file })),
+      edges: graph.edges,
+      rendered,
+    };
+
+    return { content: [{ type: "text", text: r }], structuredContent: structured };
   }
 );
 
-// ============== TOOL 6: FILE OVERVIEW ==============
+// ============== TOOL 14: FIND CYCLES ==============
 
 server.registerTool(
-  "get_file_overview",
+  "find_cycles",
   {
-    title: "File Overview",
-    description: "Get overview of a specific Swift file.",
+    title: "Find Dependency Cycles",
+    description: "Finds circular dependencies between files (or directories, or modules/targets) using strongly connected components of the dependency graph. Reports each cycle, largest first, with the type pairs that create every link in it.",
     inputSchema: {
-      filePath: z.string().describe("File path (partial match supported)."),
+      level: z.enum(["file", "directory", "module"]).optional().describe("Detect cycles between files, directories, or package modules/Xcode targets (default file)"),
+    },
+    outputSchema: {
+      level: z.string(),
+      cycles: z.array(z.object({
+        members: z.array(z.string()),
+        links: z.array(z.object({ from: z.string(), to: z.string(), pairs: z.array(linkPairSchema) })),
+      })),
     },
   },
-  async ({ filePath: input }) => {
+  async ({ level = "file" }) => {
     if (!astData) {
-      return { content: [{ type: "text", text: "❌ No AST loaded." }] };
-    }
-    
-    // Find file
-    const matches = Object.keys(astData.files).filter(f => f.toLowerCase().includes(input.toLowerCase()));
-    
-    if (matches.length === 0) {
-      return { content: [{ type: "text", text: `❌ No file matching "${input}"` }] };
+      return { content: [{ type: "text", text: "❌ No AST loaded. Run init_swift_repo or load_ast first." }], isError: true };
     }
-    if (matches.length > 1) {
-      return { content: [{ type: "text", text: `❌ Multiple matches:\n${matches.map(f => `• ${getRelativePath(f)}`).join('\n')}` }] };
+
+    const cycles = findDependencyCycles(level);
+    if (cycles.length === 0) {
+      return {
+        content: [{ type: "text", text: `✅ No dependency cycles between ${level === 'directory' ? 'directories' : `${level}s`}.` }],
+        structuredContent: { level, cycles: [] },
+      };
     }
-    
-    const fullPath = matches[0];
-    const fileData = astData.files[fullPath];
-    const s = fileData.symbols;
-    
-    let r = `📄 ${getRelativePath(fullPath)}\n${'━'.repeat(40)}\n\n`;
-    
-    const sections = [
-      { name: 'Classes', items: s.classes },
-      { name: 'Structs', items: s.structs },
-      { name: 'Protocols', items: s.protocols },
-      { name: 'Enums', items: s.enums },
-      { name: 'Extensions', items: s.extensions },
-      { name: 'Functions', items: s.functions },
-    ];
-    
-    for (const sec of sections) {
-      if (sec.items?.length > 0) {
-        r += `${sec.name} (${sec.items.length}):\n`;
-        for (const item of sec.items.slice(0, 10)) {
-          r += `  • ${item.name}`;
-          if (item.inheritedTypes?.length > 0) r += ` : ${item.inheritedTypes.join(', ')}`;
-          if (item.typeName) r += ` → ${item.typeName}`;
-          r += '\n';
-        }
-        if (sec.items.length > 10) r += `  ... +${sec.items.length - 10} more\n`;
-        r += '\n';
+
+    const involved = cycles.reduce((n, c) => n + c.members.length, 0);
+    let r = `🔁 Dependency Cycles (${level} level)\n${'━'.repeat(40)}\n\n`;
+    r += `📊 ${cycles.length} cycle${cycles.length === 1 ? '' : 's'} involving ${involved} ${level === 'directory' ? 'directories' : `${level}s`}\n`;
+
+    cycles.slice(0, 20).forEach((cycle, i) => {
+      r += `\n${i + 1}. ${cycle.members.length} ${level === 'directory' ? 'directories' : `${level}s`}, ${cycle.links.length} link${cycle.links.length === 1 ? '' : 's'}\n`;
+      for (const member of cycle.members.slice(0, 15)) r += `   • ${member}\n`;
+      if (cycle.members.length > 15) r += `   ... +${cycle.members.length - 15} more\n`;
+      r += `   🔗 Links:\n`;
+      for (const link of cycle.links.slice(0, 15)) {
+        const pairs = link.pairs.slice(0, 3).map(p => `${p.fromSymbol} → ${p.toSymbol}${p.relationship ? ` (${p.relationship})` : ''}`).join(', ');
+        const more = link.pairs.length > 3 ? ` +${link.pairs.length - 3} more` : '';
+        r += `      ${link.from} → ${link.to}: ${pairs}${more}\n`;
       }
+      if (cycle.links.length > 15) r += `      ... +${cycle.links.length - 15} more\n`;
+    });
+    if (cycles.length > 20) r += `\n... +${cycles.length - 20} more cycles\n`;
+
+    r += `\n💡 Break a cycle by removing one link, e.g. by moving a shared protocol into a lower-level file or module.\n`;
+
+    return { content: [{ type: "text", text: r }], structuredContent: { level, cycles } };
+  }
+);
+
+// ============== RESOURCES ==============
+
+const RESOURCE_SCHEME = 'swift-impact';
+const resourceSubscriptions = new Set();
+
+const fileResourceUri = (rel) => `${RESOURCE_SCHEME}://file/${rel.split('/').map(encodeURIComponent).join('/')}`;
+const symbolResourceUri = (name) => `${RESOURCE_SCHEME}://symbol/${encodeURIComponent(name)}`;
+const jsonResource = (uri, data) => ({ contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) }] });
+
+function requireAst() {
+  if (!astData) throw new Error('No AST loaded. Run init_swift_repo or load_ast first.');
+}
+
+// Everything the index knows about one declaration
+function describeSymbol(symbol) {
+  const key = symbol.key && symbol.symbolKind !== 'function' ? symbol.key : null;
+  const edges = astData.dependencyGraph?.edges || [];
+  const extensions = key ? findExtensions(key, symbol.name) : [];
+  const { symbolKind, ...fields } = symbol;
+
+  // Same-named types in other modules: keep references where the name resolves to this one
+  let references = findReferences(symbol.name) || [];
+  const lookup = typeLookup(astData.dependencyGraph?.typeMap || {}, astData.files || {});
+  if (key && (lookup.keysByName.get(symbol.qualifiedName || symbol.name) || []).length > 1) {
+    references = references.filter(ref => resolveTypeKey(symbol.qualifiedName || symbol.name, { rel: ref.file, fileData: lookup.fileDataOf(ref.file) }, lookup) === key);
+  }
+
+  return {
+    ...fields,
+    kind: symbolKind,
+    uri: symbolResourceUri(key || symbol.qualifiedName || symbol.name),
+    members: key ? mergedMembers(symbol, extensions) : undefined,
+    extensions: extensions.map(e => ({ label: extensionLabel(e), file: e.file, inheritedTypes: e.inheritedTypes || [] })),
+    dependencies: key ? edges.filter(e => e.fromSymbol === key).map(e => ({ symbol: e.toSymbol, file: e.to, relationship: e.relationship, member: e.member })) : [],
+    dependents: key ? edges.filter(e => e.toSymbol === key).map(e => ({ symbol: e.fromSymbol, file: e.from, relationship: e.relationship, member: e.member })) : [],
+    references,
+  };
+}
+
+// Tells subscribed clients that their resources may have changed after init, load or refresh
+function notifyResourcesUpdated() {
+  if (!server.isConnected()) return;
+  server.sendResourceListChanged();
+  for (const uri of resourceSubscriptions) {
+    server.server.sendResourceUpdated({ uri }).catch(() => {});
+  }
+}
+
+server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+  resourceSubscriptions.add(request.params.uri);
+  return {};
+});
+
+server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+  resourceSubscriptions.delete(request.params.uri);
+  return {};
+});
+
+server.registerResource(
+  "graph",
+  `${RESOURCE_SCHEME}://graph`,
+  {
+    title: "Dependency Graph",
+    description: "Type map and dependency edges (inherits, conforms, holds, returns) of the loaded repo",
+    mimeType: "application/json",
+  },
+  async (uri) => {
+    requireAst();
+    const typeMap = astData.dependencyGraph?.typeMap || {};
+    return jsonResource(uri.href, {
+      repoPath: astData.repoPath,
+      generatedAt: astData.generatedAt,
+      types: Object.fromEntries(Object.entries(typeMap).map(([key, info]) => [key, { kind: info.kind, file: info.file }])),
+      edges: astData.dependencyGraph?.edges || [],
+    });
+  }
+);
+
+server.registerResource(
+  "file",
+  new ResourceTemplate(`${RESOURCE_SCHEME}://file/{+path}`, {
+    list: async () => ({
+      resources: Object.keys(astData?.files || {}).map(filePath => {
+        const rel = getRelativePath(filePath);
+        return { uri: fileResourceUri(rel), name: rel, mimeType: 'application/json' };
+      }),
+    }),
+    complete: {
+      path: (value) => Object.keys(astData?.files || {}).map(file => getRelativePath(file)).filter(rel => rel.startsWith(value)).slice(0, 50),
+    },
+  }),
+  {
+    title: "Source File",
+    description: "Symbols, members, parser, module and targets of one indexed file (path relative to the repo root)",
+    mimeType: "application/json",
+  },
+  async (uri, { path: relPath }) => {
+    requireAst();
+    const rel = decodeURIComponent(relPath);
+    const fileData = astData.files?.[path.join(repoPath, rel)];
+    if (!fileData) throw new Error(`File "${rel}" is not in the index.`);
+    return jsonResource(uri.href, { path: rel, ...fileData });
+  }
+);
+
+server.registerResource(
+  "symbol",
+  new ResourceTemplate(`${RESOURCE_SCHEME}://symbol/{name}`, {
+    list: async () => ({
+      resources: Object.entries(astData?.dependencyGraph?.typeMap || {}).map(([key, info]) => ({
+        uri: symbolResourceUri(key),
+        name: key,
+        description: `${info.kind} in ${info.file}`,
+        mimeType: 'application/json',
+      })),
+    }),
+    complete: {
+      name: (value) => Object.keys(astData?.dependencyGraph?.typeMap || {}).filter(key => key.startsWith(value)).slice(0, 50),
+    },
+  }),
+  {
+    title: "Symbol",
+    description: "A declaration with its members, extensions, dependencies, dependents and references. Accepts the same names as explain_symbol; an ambiguous name returns the candidates.",
+    mimeType: "application/json",
+  },
+  async (uri, { name }) => {
+    requireAst();
+    const query = decodeURIComponent(name);
+    const candidates = findSymbolCandidates(query);
+    if (candidates.length > 1) {
+      return jsonResource(uri.href, {
+        ambiguous: true,
+        candidates: candidates.map(c => ({ name: c.qualifiedName || c.name, kind: c.symbolKind, file: c.file, uri: symbolResourceUri(candidateQuery(c, candidates)) })),
+      });
     }
-    
-    return { content: [{ type: "text", text: r }] };
+    const symbol = candidates[0] || findSymbol(query);
+    if (!symbol) throw new Error(`Symbol "${query}" not found.`);
+    return jsonResource(uri.href, describeSymbol(symbol));
   }
 );
 
+// ============== PROMPTS ==============
+
+// The reusable prompts shipped in .github/prompts, served to every MCP client.
+// The text comes from the prompt file; the arguments fill in the request.
+const PROMPTS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '.github', 'prompts');
+
+const BUNDLED_PROMPTS = [
+  {
+    name: 'analyze-project',
+    title: 'Analyze Swift Project',
+    argsSchema: {
+      projectPath: z.string().optional().describe("Path to the folder with the .xcworkspace, .xcodeproj or Package.swift. Omit to use the loaded project."),
+    },
+    request: ({ projectPath }) => projectPath ? `Project path: \`${projectPath}\`` : 'Analyze the project that is already loaded.',
+  },
+  {
+    name: 'explain-symbol',
+    title: 'Explain Symbol',
+    argsSchema: {
+      symbolName: z.string().describe("Class, struct, protocol, enum or function to explain, e.g. UserManager or Login.Coordinator"),
+    },
+    request: ({ symbolName }) => `Symbol: \`${symbolName}\``,
+  },
+  {
+    name: 'find-symbols',
+    title: 'Find Symbols',
+    argsSchema: {
+      query: z.string().describe("Name or part of a name to search for, e.g. ViewModel"),
+      type: z.enum(["class", "struct", "protocol", "function", "enum"]).optional().describe("Only this kind of symbol"),
+    },
+    request: ({ query, type }) => `Query: \`${query}\`${type ? `\nType: \`${type}\`` : ''}`,
+  },
+  {
+    name: 'find-usages',
+    title: 'Find Usages',
+    argsSchema: {
+      symbolName: z.string().describe("Symbol whose users and dependents to find"),
+    },
+    request: ({ symbolName }) => `Symbol: \`${symbolName}\``,
+  },
+];
+
+// Frontmatter description and Markdown body of .github/prompts/<name>.prompt.md
+async function readPromptFile(name) {
+  const text = await fs.readFile(path.join(PROMPTS_DIR, `${name}.prompt.md`), 'utf-8');
+  const frontmatter = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n/);
+  const description = frontmatter?.[1].match(/^description:\s*(.+)$/m)?.[1].trim();
+  return { description, body: (frontmatter ? text.slice(frontmatter[0].length) : text).trim() };
+}
+
+for (const prompt of BUNDLED_PROMPTS) {
+  let file;
+  try {
+    file = await readPromptFile(prompt.name);
+  } catch {
+    continue;  // prompt file not shipped with this install
+  }
+
+  server.registerPrompt(
+    prompt.name,
+    { title: prompt.title, description: file.description, argsSchema: prompt.argsSchema },
+    async (args) => {
+      // Re-read so edits to the prompt file apply without a restart
+      const { body } = await readPromptFile(prompt.name).catch(() => file);
+      return {
+        messages: [{ role: "user", content: { type: "text", text: `${body}\n\n## Request\n\n${prompt.request(args)}` } }],
+      };
+    }
+  );
+}
+
 // ============== START SERVER ==============
 
 const transport = new StdioServerTransport();
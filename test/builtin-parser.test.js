@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fixturePath, withRepo } from "./helpers.js";
+
+// Point at a missing SourceKitten so machines that have it still use the built-in parser
+const builtin = { tools: { sourcekitten: "/nonexistent/sourcekitten" } };
+
+test("the built-in parser reports types, nesting, access and attributes", async () => {
+  await withRepo(fixturePath("parser"), async (call) => {
+    const overview = (await call("get_file_overview", { filePath: "Feed.swift", limit: 50 })).structuredContent;
+    assert.equal(overview.parser, "builtin");
+    const { classes, structs, protocols, enums, functions } = overview.symbols;
+
+    assert.deepEqual(classes, [{ name: "FeedViewModel", qualifiedName: "FeedViewModel", inheritedTypes: ["NSObject"], accessibility: "open", attributes: ["MainActor", "open"] }]);
+    assert.deepEqual(structs.map(s => [s.qualifiedName, s.inheritedTypes]), [["FeedItem", ["Identifiable", "Hashable"]]]);
+    assert.deepEqual(protocols.map(p => [p.qualifiedName, p.inheritedTypes]), [["FeedSource", ["AnyObject"]]]);
+    assert.deepEqual(enums.map(e => [e.qualifiedName, e.inheritedTypes]), [["FeedItem.Kind", ["String", "Codable"]]]);
+
+    const byName = Object.fromEntries(functions.map(f => [f.qualifiedName, f]));
+    assert.deepEqual(Object.keys(byName).sort(), ["FeedSource.load(page:)", "FeedViewModel.init(source:)", "FeedViewModel.make(_:)", "FeedViewModel.refresh()", "formatted(_:)"]);
+    assert.equal(byName["FeedSource.load(page:)"].typeName, "[FeedItem]");
+    assert.deepEqual(byName["FeedViewModel.refresh()"].attributes, ["discardableResult", "public"]);
+    assert.equal(byName["FeedViewModel.make(_:)"].accessibility, "internal");
+  }, builtin);
+});
+
+test("built-in parser members keep their types and extension origin", async () => {
+  await withRepo(fixturePath("parser"), async (call) => {
+    const model = (await call("explain_symbol", { symbolName: "FeedViewModel" })).structuredContent;
+    assert.deepEqual(model.members.properties, [
+      { name: "items", type: "[FeedItem]", access: "internal" },
+      { name: "source", type: "Source", access: "internal" },
+      { name: "isEmpty", type: "Bool", access: "internal", from: "Sources/Feed.swift" }
+    ]);
+    assert.deepEqual(model.inheritance, [{ name: "NSObject" }, { name: "Sendable", via: "Sources/Feed.swift" }]);
+
+    const source = (await call("explain_symbol", { symbolName: "FeedSource" })).structuredContent;
+    assert.deepEqual(source.members.properties, [{ name: "title", type: "String", access: "public" }]);
+    assert.deepEqual(source.members.methods, [{ name: "load(page:)", returnType: "[FeedItem]", access: "public" }]);
+
+    // Braces inside the string literal don't end FeedItem early
+    const item = (await call("explain_symbol", { symbolName: "FeedItem" })).structuredContent;
+    assert.deepEqual(item.members.properties.map(p => p.name), ["id", "text"]);
+  }, builtin);
+});
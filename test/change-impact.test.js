@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "child_process";
+import { promises as fs } from "fs";
+import path from "path";
+import { fixturePath, withFixtureCopy, withRepo } from "./helpers.js";
+
+const git = (dir, ...args) => execFileSync("git", ["-C", dir, "-c", "user.name=test", "-c", "user.email=test@example.com", ...args], { stdio: "pipe" });
+
+// A committed copy of the shop fixture
+async function withGitRepo(body) {
+  await withFixtureCopy("shop", async (dir) => {
+    git(dir, "init", "-q");
+    git(dir, "add", "-A");
+    git(dir, "commit", "-q", "-m", "base");
+    await body(dir);
+  });
+}
+
+test("a modified declaration seeds its dependents", async () => {
+  await withGitRepo(async (dir) => {
+    const file = path.join(dir, "Sources/Core/Product.swift");
+    await fs.writeFile(file, (await fs.readFile(file, "utf-8")).replace("public var price: Int", "public var price: Double"));
+
+    await withRepo(dir, async (call) => {
+      const impact = (await call("analyze_change_impact", {})).structuredContent;
+      assert.deepEqual(impact.changedFiles, [{ path: "Sources/Core/Product.swift", status: "modified", lines: [3] }]);
+      assert.deepEqual(impact.changedSymbols.map(s => `${s.kind} ${s.name}`), ["struct Product", "variable Product.price"]);
+      assert.deepEqual(impact.dependents.filter(d => d.depth === 1).map(d => d.symbol).sort(), ["Cart", "Order", "Wishlist"]);
+      assert.ok(impact.affectedFiles.includes("Sources/Checkout/CheckoutScreen.swift"));
+    });
+  });
+});
+
+test("untracked sources count as added in full; ones missing from the index are listed", async () => {
+  await withGitRepo(async (dir) => {
+    await fs.writeFile(path.join(dir, "Sources/Checkout/Refund.swift"), "struct Refund {\n    let order: Order\n}\n");
+    await fs.writeFile(path.join(dir, "notes.txt"), "not a source file\n");
+
+    await withRepo(dir, async (call) => {
+      // Created after init, so the index doesn't know it
+      await fs.writeFile(path.join(dir, "Sources/Checkout/Voucher.swift"), "struct Voucher {}\n");
+
+      const impact = (await call("analyze_change_impact", {})).structuredContent;
+      assert.deepEqual(impact.changedFiles.map(f => `${f.path} ${f.status}`).sort(), [
+        "Sources/Checkout/Refund.swift untracked",
+        "Sources/Checkout/Voucher.swift untracked",
+      ]);
+      assert.deepEqual(impact.changedSymbols.map(s => `${s.kind} ${s.name} ${s.file}`), [
+        "struct Refund Sources/Checkout/Refund.swift",
+        "variable Refund.order Sources/Checkout/Refund.swift",
+      ]);
+      assert.deepEqual(impact.unindexed, ["Sources/Checkout/Voucher.swift"]);
+    });
+  });
+});
+
+test("a diff passed in is analyzed without git", async () => {
+  await withRepo(fixturePath("shop"), async (call) => {
+    const diff = [
+      "--- a/Sources/Checkout/Order.swift",
+      "+++ b/Sources/Checkout/Order.swift",
+      "@@ -4 +4 @@",
+      "-    let products: [Product]",
+      "+    var products: [Product]",
+    ].join("\n");
+    const impact = (await call("analyze_change_impact", { diff })).structuredContent;
+    assert.equal(impact.source, "provided diff");
+    assert.deepEqual(impact.changedSymbols.map(s => s.name), ["Order", "Order.products"]);
+    assert.deepEqual(impact.dependents.map(d => d.symbol), ["Receipt"]);
+  });
+});
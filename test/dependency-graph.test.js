@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fixturePath, withRepo } from "./helpers.js";
+
+const links = (graph) => graph.structuredContent.edges.flatMap(e => e.links.map(l => `${l.fromSymbol} ${l.relationship} ${l.toSymbol}`));
+
+test("arrays, optionals and generic wrappers of a type are held dependencies", async () => {
+  await withRepo(fixturePath("composition"), async (call) => {
+    const { usage } = (await call("explain_symbol", { symbolName: "User" })).structuredContent;
+    assert.deepEqual([...usage.heldBy].sort(), ["ProfileModel.user", "Roster.members", "Selection.current", "UserService.cache"]);
+    assert.deepEqual(usage.returnedBy, ["UserService.fetch(id:)"]);
+  });
+});
+
+test("protocol requirements and refinements produce edges", async () => {
+  await withRepo(fixturePath("composition"), async (call) => {
+    const graph = links(await call("export_graph", { format: "dot" }));
+    assert.ok(graph.includes("UserService holds User"));
+    assert.ok(graph.includes("UserService returns User"));
+    assert.ok(graph.includes("UserService conforms Service"));
+
+    const radius = (await call("get_impact_radius", { symbolName: "User" })).structuredContent;
+    assert.ok(radius.dependents.some(d => d.symbol === "UserService" && d.depth === 1));
+
+    // A refining protocol depends on its parent but doesn't conform to it
+    const audit = (await call("check_conformances", { protocolName: "Service" })).structuredContent;
+    assert.deepEqual(audit.protocols[0].conformers, []);
+  });
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fixturePath, withRepo } from "./helpers.js";
+
+const pairs = (graph) => graph.edges.map(e => `${e.from} -> ${e.to}`).sort();
+
+test("a root symbol's neighbourhood renders as DOT, Mermaid and GraphML", async () => {
+  await withRepo(fixturePath("shop"), async (call) => {
+    const dot = (await call("export_graph", { format: "dot", rootSymbol: "Order", depth: 1 })).structuredContent;
+    assert.deepEqual(dot.nodes.map(n => n.id).sort(), ["Order", "Product", "Receipt"]);
+    assert.deepEqual(pairs(dot), ["Order -> Product", "Receipt -> Order"]);
+    assert.match(dot.rendered, /^digraph dependencies \{/);
+    assert.match(dot.rendered, /"Receipt" -> "Order" \[label="holds", style=dashed\];/);
+
+    const mermaid = (await call("export_graph", { format: "mermaid", rootSymbol: "Order", depth: 1, direction: "dependents" })).structuredContent;
+    assert.deepEqual(pairs(mermaid), ["Receipt -> Order"]);
+    assert.match(mermaid.rendered, /^flowchart LR\n/);
+    assert.match(mermaid.rendered, /n\d -\.->\|holds\| n\d/);
+
+    const graphml = (await call("export_graph", { format: "graphml", rootSymbol: "Order", depth: 1, direction: "dependencies" })).structuredContent;
+    assert.deepEqual(pairs(graphml), ["Order -> Product"]);
+    assert.match(graphml.rendered, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<graphml /);
+    assert.equal(graphml.rendered.match(/<node id=/g).length, 2);
+    assert.equal(graphml.rendered.match(/<edge /g).length, 1);
+  });
+});
+
+test("directory and kind filters narrow the graph around the root", async () => {
+  await withRepo(fixturePath("shop"), async (call) => {
+    const checkout = (await call("export_graph", { directory: "Sources/Checkout" })).structuredContent;
+    assert.deepEqual(pairs(checkout), ["CheckoutScreen -> Checkout.Coordinator", "Receipt -> Order"]);
+
+    const files = (await call("export_graph", { level: "file", directory: "Sources/Checkout/" })).structuredContent;
+    assert.deepEqual(pairs(files), ["Sources/Checkout/CheckoutScreen.swift -> Sources/Checkout/Coordinator.swift"]);
+
+    // The root is kept even though it is a struct outside the filters
+    const classes = (await call("export_graph", { rootSymbol: "Product", direction: "dependents", depth: 1, kind: "class" })).structuredContent;
+    assert.deepEqual(pairs(classes), ["Cart -> Product", "Wishlist -> Product"]);
+    const inCheckout = (await call("export_graph", { rootSymbol: "Product", direction: "dependents", directory: "Sources/Checkout" })).structuredContent;
+    assert.deepEqual(pairs(inCheckout), ["Order -> Product", "Receipt -> Order"]);
+  });
+});
@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runOnFixture } from "./helpers.js";
+
+test("members declared in extensions are merged into the type with their file", async () => {
+  const { members } = (await runOnFixture("extensions", "explain_symbol", { symbolName: "Account" })).structuredContent;
+
+  assert.deepEqual(members.properties.map(p => [p.name, p.from]), [
+    ["id", undefined],
+    ["balance", undefined],
+    ["description", "Sources/Account+Display.swift"]
+  ]);
+  assert.deepEqual(members.methods.map(m => [m.name, m.from]), [
+    ["formatted(currency:)", "Sources/Account+Display.swift"],
+    ["deposit(_:)", "Sources/Account+Transfers.swift"]
+  ]);
+  assert.deepEqual(members.initializers.map(i => [i.name, i.from]), [["init(id:)", "Sources/Account+Transfers.swift"]]);
+});
+
+test("each extension lists the conformances and members it adds", async () => {
+  const account = (await runOnFixture("extensions", "explain_symbol", { symbolName: "Account" })).structuredContent;
+
+  assert.deepEqual(account.extensions.map(e => [e.file, e.inheritedTypes, e.members.properties.length, e.members.methods.length, e.members.initializers.length]), [
+    ["Sources/Account+Display.swift", ["CustomStringConvertible"], 1, 1, 0],
+    ["Sources/Account+Transfers.swift", ["Equatable", "Hashable"], 0, 1, 1]
+  ]);
+  assert.deepEqual(account.inheritance, [
+    { name: "CustomStringConvertible", via: "Sources/Account+Display.swift" },
+    { name: "Equatable", via: "Sources/Account+Transfers.swift" },
+    { name: "Hashable", via: "Sources/Account+Transfers.swift" }
+  ]);
+  assert.deepEqual(account.usage.extendedIn, ["Sources/Account+Display.swift", "Sources/Account+Transfers.swift"]);
+});
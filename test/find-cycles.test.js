@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fixturePath, runOnFixture, withRepo } from "./helpers.js";
+
+const members = (result) => result.structuredContent.cycles.map(c => c.members);
+
+test("file cycles are reported largest first with the pairs behind each link", async () => {
+  const { cycles } = (await runOnFixture("cycles", "find_cycles")).structuredContent;
+
+  assert.deepEqual(cycles.map(c => c.members), [
+    ["Sources/Profile/Avatar.swift", "Sources/Profile/Badge.swift", "Sources/Profile/Frame.swift"],
+    ["Sources/Profile/Profile.swift", "Sources/Settings/SettingsPanel.swift"]
+  ]);
+  assert.deepEqual(cycles[0].links.map(l => l.pairs.map(p => `${p.fromSymbol} ${p.relationship} ${p.toSymbol}`)), [
+    ["Avatar holds Badge"],
+    ["Badge holds Frame"],
+    ["Frame holds Avatar"]
+  ]);
+  // Theme is held by SettingsPanel but never leads back, so it is in no cycle
+  assert.ok(cycles.every(c => !c.members.includes("Sources/Settings/Theme.swift")));
+});
+
+test("cycles are found between directories and modules", async () => {
+  await withRepo(fixturePath("cycles"), async (call) => {
+    assert.deepEqual(members(await call("find_cycles", { level: "directory" })), [["Sources/Profile", "Sources/Settings"]]);
+
+    const modules = (await call("find_cycles", { level: "module" })).structuredContent.cycles;
+    assert.deepEqual(modules.map(c => c.members), [["Profile", "Settings"]]);
+    assert.deepEqual(modules[0].links.map(l => [l.from, l.to, l.pairs.map(p => `${p.fromSymbol} -> ${p.toSymbol}`)]), [
+      ["Profile", "Settings", ["Profile -> SettingsPanel"]],
+      ["Settings", "Profile", ["SettingsPanel -> Profile"]]
+    ]);
+  });
+});
+
+test("an acyclic graph has no cycles", async () => {
+  assert.deepEqual(members(await runOnFixture("shop", "find_cycles")), []);
+});
@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runOnFixture } from "./helpers.js";
+
+test("a protocol requirement and its default implementation are reported once", async () => {
+  const result = await runOnFixture("protocol-defaults", "find_unused_symbols", { kind: "function" });
+  const unused = result.structuredContent.unused;
+
+  const summary = unused.filter(u => u.name === "Describable.summary()");
+  assert.equal(summary.length, 1);
+  assert.equal(summary[0].container, "protocol Describable");
+  assert.deepEqual(summary[0].defaultImplementation, { container: "extension Describable", file: "Sources/Describable.swift" });
+});
+
+test("a requirement called through the protocol by a conformer's user is not unused", async () => {
+  const result = await runOnFixture("protocol-defaults", "find_unused_symbols", { kind: "function" });
+  const names = result.structuredContent.unused.map(u => u.name);
+
+  assert.ok(!names.includes("Describable.describe()"));
+  assert.ok(!names.includes("Circle.describe()"));
+  assert.ok(names.includes("main()"));
+});
@@ -0,0 +1,11 @@
+final class Roster {
+    var members: [User] = []
+}
+
+final class Selection {
+    var current: User?
+}
+
+final class ProfileModel {
+    var user: Published<User>
+}
@@ -0,0 +1,3 @@
+struct User {
+    let id: String
+}
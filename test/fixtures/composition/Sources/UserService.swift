@@ -0,0 +1,6 @@
+protocol Service {}
+
+protocol UserService: Service {
+    var cache: [User] { get }
+    func fetch(id: String) -> User?
+}
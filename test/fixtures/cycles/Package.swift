@@ -0,0 +1,9 @@
+// swift-tools-version:5.9
+import PackageDescription
+let package = Package(
+    name: "Cycles",
+    targets: [
+        .target(name: "Profile"),
+        .target(name: "Settings")
+    ]
+)
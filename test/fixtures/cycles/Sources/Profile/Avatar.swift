@@ -0,0 +1,3 @@
+final class Avatar {
+    let badge: Badge
+}
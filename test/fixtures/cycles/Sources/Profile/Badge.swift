@@ -0,0 +1,3 @@
+struct Badge {
+    let frame: Frame
+}
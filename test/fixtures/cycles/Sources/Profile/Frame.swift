@@ -0,0 +1,3 @@
+final class Frame {
+    weak var avatar: Avatar?
+}
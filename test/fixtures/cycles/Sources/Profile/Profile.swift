@@ -0,0 +1,4 @@
+final class Profile {
+    var settings: SettingsPanel?
+    let avatar: Avatar
+}
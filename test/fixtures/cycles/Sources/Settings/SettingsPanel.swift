@@ -0,0 +1,4 @@
+final class SettingsPanel {
+    weak var owner: Profile?
+    let palette: Theme
+}
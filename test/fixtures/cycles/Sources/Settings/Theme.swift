@@ -0,0 +1,3 @@
+struct Theme {
+    var dark = false
+}
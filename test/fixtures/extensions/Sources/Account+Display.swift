@@ -0,0 +1,7 @@
+extension Account: CustomStringConvertible {
+    var description: String { "\(id): \(balance)" }
+
+    func formatted(currency: String) -> String {
+        return "\(balance) \(currency)"
+    }
+}
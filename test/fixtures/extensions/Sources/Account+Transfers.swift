@@ -0,0 +1,9 @@
+extension Account: Equatable, Hashable {
+    init(id: String) {
+        self.init(id: id, balance: 0)
+    }
+
+    mutating func deposit(_ amount: Int) {
+        balance += amount
+    }
+}
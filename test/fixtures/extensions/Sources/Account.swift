@@ -0,0 +1,4 @@
+struct Account {
+    let id: String
+    var balance: Int
+}
@@ -0,0 +1,43 @@
+import Foundation
+
+/// Braces in comments { and strings "}" don't confuse the parser
+public protocol FeedSource: AnyObject {
+    var title: String { get }
+    func load(page: Int) async throws -> [FeedItem]
+}
+
+public struct FeedItem: Identifiable, Hashable {
+    public let id: UUID
+    var text = "{ not a block }"
+
+    public enum Kind: String, Codable {
+        case post, ad
+    }
+}
+
+@MainActor
+open class FeedViewModel<Source: FeedSource>: NSObject {
+    private(set) var items: [FeedItem] = []
+    let source: Source
+
+    public init(source: Source) {
+        self.source = source
+    }
+
+    @discardableResult
+    public func refresh() async -> Int {
+        return items.count
+    }
+
+    static func make(_ source: Source) -> FeedViewModel<Source> {
+        return FeedViewModel(source: source)
+    }
+}
+
+extension FeedViewModel: Sendable where Source: Sendable {
+    var isEmpty: Bool { items.isEmpty }
+}
+
+func formatted(_ item: FeedItem) -> String {
+    return item.text
+}
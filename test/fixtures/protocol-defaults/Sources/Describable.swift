@@ -0,0 +1,14 @@
+protocol Describable {
+    func describe() -> String
+    func summary() -> String
+}
+
+extension Describable {
+    func describe() -> String {
+        return "?"
+    }
+
+    func summary() -> String {
+        return "summary"
+    }
+}
@@ -0,0 +1,15 @@
+struct Circle: Describable {
+    func describe() -> String {
+        return "circle"
+    }
+}
+
+struct Square: Describable {}
+
+func report(_ items: [Describable]) -> [String] {
+    return items.map { $0.describe() }
+}
+
+func main() {
+    print(report([Circle(), Square()]))
+}
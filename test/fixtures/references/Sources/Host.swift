@@ -0,0 +1,10 @@
+final class Helper {
+    static func make() -> Helper { return Helper() }
+}
+
+struct Host {
+    func run() {
+        let h = Helper()
+        print(h)
+    }
+}
@@ -0,0 +1,7 @@
+final class Runner {
+    let host = Host()
+
+    func start() {
+        host.run()
+    }
+}
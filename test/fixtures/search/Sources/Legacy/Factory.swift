@@ -0,0 +1,3 @@
+func makeUserViewModel(for user: User) -> UserViewModel {
+    return UserViewModel(user: user)
+}
@@ -0,0 +1,23 @@
+struct User {
+    let name: String
+}
+
+public struct UserSettings {
+    public var notifications = true
+}
+
+class BaseModel: Codable {}
+
+final class UserModel: BaseModel {}
+
+struct UserViewModel {
+    let user: User
+}
+
+enum UserError: Error {
+    case missing
+}
+
+protocol Identified: Codable {}
+
+struct Badge: Identified {}
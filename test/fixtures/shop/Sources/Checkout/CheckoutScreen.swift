@@ -0,0 +1,6 @@
+import Core
+
+final class CheckoutScreen {
+    let coordinator: Coordinator
+    let wishlist: Wishlist
+}
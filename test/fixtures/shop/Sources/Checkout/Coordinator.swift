@@ -0,0 +1,14 @@
+import Core
+
+final class Coordinator {
+    struct State {
+        var paid = false
+    }
+
+    let cart: Cart
+    var state = State()
+
+    init(cart: Cart) {
+        self.cart = cart
+    }
+}
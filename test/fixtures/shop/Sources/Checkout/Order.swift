@@ -0,0 +1,9 @@
+import Core
+
+struct Order {
+    let products: [Product]
+}
+
+final class Receipt {
+    let order: Order
+}
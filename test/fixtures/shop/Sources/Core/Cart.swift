@@ -0,0 +1,25 @@
+public final class Cart {
+    public var items: [Product] = []
+
+    public init() {}
+
+    public func add(_ product: Product) {
+        items.append(product)
+    }
+}
+
+extension Cart {
+    public var total: Int {
+        return items.reduce(0) { $0 + $1.price }
+    }
+
+    public func clear() {
+        items = []
+    }
+}
+
+extension Cart: CustomStringConvertible {
+    public var description: String {
+        return "\(items.count) items"
+    }
+}
@@ -0,0 +1,7 @@
+public final class Coordinator {
+    struct State {
+        var step = 0
+    }
+
+    var state = State()
+}
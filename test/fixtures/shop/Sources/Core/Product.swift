@@ -0,0 +1,4 @@
+public struct Product {
+    public let id: String
+    public var price: Int
+}
@@ -0,0 +1,3 @@
+public final class Wishlist {
+    public var saved: [Product] = []
+}
@@ -0,0 +1,53 @@
+import assert from "node:assert/strict";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+
+export const fixturePath = (fixture) => path.join(here, "fixtures", fixture);
+
+// Copies a fixture to a temporary folder for tests that edit files, runs `body` with
+// its path and removes it afterwards
+export async function withFixtureCopy(fixture, body) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), `swift-impact-${fixture}-`));
+  try {
+    await fs.cp(fixturePath(fixture), dir, { recursive: true });
+    return await body(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// Starts the server and hands `body` a call(tool, args) function; the server stops afterwards.
+// Failed calls throw with the tool's text unless allowError is set.
+export async function withServer(body) {
+  const client = new Client({ name: "test", version: "1.0.0" });
+  await client.connect(new StdioClientTransport({ command: process.execPath, args: [path.join(here, "..", "mcp-server.js")], stderr: "ignore" }));
+  const call = async (name, args = {}, { allowError = false } = {}) => {
+    const result = await client.callTool({ name, arguments: args });
+    if (!allowError) assert.ok(!result.isError, `${name}: ${result.content[0].text}`);
+    return result;
+  };
+  try {
+    return await body(call);
+  } finally {
+    await client.close();
+  }
+}
+
+// Indexes a fixture (or any repo) without writing app.json into it, then runs `body`
+export function withRepo(repoPath, body, config = {}) {
+  return withServer(async (call) => {
+    await call("init_swift_repo", { repoPath, config: { ...config, output: { persist: false, ...config.output } } });
+    return body(call);
+  });
+}
+
+// Indexes a fixture and runs one tool
+export function runOnFixture(fixture, tool, args = {}) {
+  return withRepo(fixturePath(fixture), (call) => call(tool, args));
+}
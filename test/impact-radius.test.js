@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fixturePath, withRepo } from "./helpers.js";
+
+const byHop = (radius) => {
+  const hops = {};
+  for (const d of radius.dependents) (hops[d.depth] ||= []).push(d.symbol);
+  for (const list of Object.values(hops)) list.sort();
+  return hops;
+};
+
+test("dependents are grouped by hop distance", async () => {
+  await withRepo(fixturePath("shop"), async (call) => {
+    const radius = (await call("get_impact_radius", { symbolName: "Product" })).structuredContent;
+    assert.deepEqual(byHop(radius), {
+      1: ["Cart", "Order", "Wishlist"],
+      2: ["CheckoutScreen", "Checkout.Coordinator", "Receipt"].sort(),
+    });
+    assert.equal(radius.truncated, false);
+
+    const shallow = (await call("get_impact_radius", { symbolName: "Product", maxDepth: 1 })).structuredContent;
+    assert.deepEqual(byHop(shallow), { 1: ["Cart", "Order", "Wishlist"] });
+    assert.equal(shallow.truncated, true);
+  });
+});
+
+test("risk rises with fan-in, reach and visibility", async () => {
+  await withRepo(fixturePath("shop"), async (call) => {
+    const risk = async (symbolName) => (await call("get_impact_radius", { symbolName })).structuredContent.risk.level;
+    // Public with three direct dependents
+    assert.equal(await risk("Product"), "High");
+    // Public with one
+    assert.equal(await risk("Cart"), "Medium");
+    // Internal, nothing depends on it
+    assert.equal(await risk("Receipt"), "Low");
+  });
+});
+
+test("target limits the walk to dependents in that module", async () => {
+  await withRepo(fixturePath("shop"), async (call) => {
+    const radius = (await call("get_impact_radius", { symbolName: "Product", target: "Core" })).structuredContent;
+    assert.deepEqual(byHop(radius), { 1: ["Cart", "Wishlist"] });
+  });
+});
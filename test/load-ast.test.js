@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fs } from "fs";
+import path from "path";
+import { withFixtureCopy, withRepo } from "./helpers.js";
+
+// Indexes a copy of the shop fixture into app.json and runs `body` with the saved index
+function withSavedIndex(body) {
+  return withFixtureCopy("shop", async (dir) => {
+    const astPath = path.join(dir, "app.json");
+    await withRepo(dir, async (call) => {
+      const saved = JSON.parse(await fs.readFile(astPath, "utf-8"));
+      const write = (data) => fs.writeFile(astPath, JSON.stringify(data));
+      await body({ call, dir, astPath, saved, write });
+    }, { output: { persist: true } });
+  });
+}
+
+const dependentsOf = async (call, symbolName) =>
+  (await call("get_impact_radius", { symbolName, maxDepth: 1 })).structuredContent.dependents.map(d => d.symbol).sort();
+
+test("a current index loads as is, from the file or from its repo folder", async () => {
+  await withSavedIndex(async ({ call, dir, astPath, saved }) => {
+    assert.equal(saved.schemaVersion, 2);
+
+    const loaded = (await call("load_ast", { astPath })).structuredContent;
+    assert.equal(loaded.migratedFrom, undefined);
+    assert.deepEqual(loaded.rebuilt, []);
+    assert.equal(loaded.files, 7);
+
+    const byFolder = (await call("load_ast", { astPath: dir })).structuredContent;
+    assert.equal(byFolder.astPath, astPath);
+  });
+});
+
+test("a version 1 index is migrated and its graph and indexes rebuilt", async () => {
+  await withSavedIndex(async ({ call, astPath, saved, write }) => {
+    // Version 1 had no schema version, config, modules or qualified names: members were keyed
+    // by bare name, the type map too, and edges had no relationship
+    const v1 = {
+      repoPath: saved.repoPath,
+      generatedAt: saved.generatedAt,
+      files: Object.fromEntries(Object.entries(saved.files).map(([file, { symbols, memberData, language }]) => [file, {
+        symbols: Object.fromEntries(Object.entries(symbols).map(([list, items]) => [list, items.map(({ qualifiedName: _q, key: _k, module: _m, ...rest }) => rest)])),
+        memberData: Object.fromEntries(Object.entries(memberData).map(([name, members]) => [name.split(".").pop(), members])),
+        language,
+      }])),
+      dependencyGraph: {
+        typeMap: Object.fromEntries(Object.values(saved.dependencyGraph.typeMap).map(info => [info.symbol.name, info])),
+        edges: saved.dependencyGraph.edges.map(({ relationship: _r, ...edge }) => edge),
+      },
+      indexes: { byName: saved.indexes.byName, byKind: saved.indexes.byKind, byFile: saved.indexes.byFile },
+    };
+    await write(v1);
+
+    const loaded = (await call("load_ast", { astPath })).structuredContent;
+    assert.equal(loaded.migratedFrom, 1);
+    assert.equal(loaded.schemaVersion, 2);
+    assert.deepEqual(loaded.rebuilt, ["type map and edges", "symbol indexes", "bridged names", "reference index"]);
+
+    assert.deepEqual(await dependentsOf(call, "Product"), ["Cart", "Order", "Wishlist"]);
+    const cart = (await call("explain_symbol", { symbolName: "Cart" })).structuredContent;
+    assert.deepEqual(cart.members.properties.map(p => p.name), ["items", "total", "description"]);
+    // Rebuilt edges carry the relationship version 1 didn't record
+    const graph = (await call("export_graph", { rootSymbol: "Receipt", depth: 1 })).structuredContent;
+    assert.deepEqual(graph.edges.flatMap(e => e.links.map(l => l.relationship)), ["holds"]);
+  });
+});
+
+test("missing derived indexes are rebuilt on load", async () => {
+  await withSavedIndex(async ({ call, astPath, saved, write }) => {
+    delete saved.indexes.references;
+    delete saved.indexes.byName;
+    await write(saved);
+
+    const loaded = (await call("load_ast", { astPath })).structuredContent;
+    assert.deepEqual(loaded.rebuilt, ["symbol indexes", "reference index"]);
+    const refs = (await call("find_references", { symbolName: "Product" })).structuredContent;
+    assert.ok(refs.references.length > 0);
+  });
+});
+
+test("an index that doesn't match the schema is rejected and the active one kept", async () => {
+  await withSavedIndex(async ({ call, astPath, saved, write }) => {
+    const [first] = Object.keys(saved.files);
+    await write({ ...saved, files: { ...saved.files, [first]: { ...saved.files[first], language: "kotlin" } } });
+    const badFile = await call("load_ast", { astPath }, { allowError: true });
+    assert.ok(badFile.isError);
+    assert.match(badFile.content[0].text, /does not match index schema 2/);
+    assert.match(badFile.content[0].text, /language/);
+
+    await write({ ...saved, schemaVersion: 3 });
+    const newer = await call("load_ast", { astPath }, { allowError: true });
+    assert.match(newer.content[0].text, /written by a newer version of this server/);
+
+    await fs.writeFile(astPath, "{ not json");
+    const garbled = await call("load_ast", { astPath }, { allowError: true });
+    assert.match(garbled.content[0].text, /is not valid JSON/);
+
+    // The index from init is still the one answering
+    assert.deepEqual(await dependentsOf(call, "Product"), ["Cart", "Order", "Wishlist"]);
+  });
+});
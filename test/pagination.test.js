@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fs } from "fs";
+import path from "path";
+import { fixturePath, withFixtureCopy, withRepo } from "./helpers.js";
+
+test("following nextCursor walks search results once each, in a stable order", async () => {
+  await withRepo(fixturePath("shop"), async (call) => {
+    const all = (await call("search_symbols", { query: "", sortBy: "name", limit: 500 })).structuredContent;
+    assert.equal(all.page.nextCursor, undefined);
+
+    const walked = [];
+    let cursor;
+    do {
+      const { results, page, total } = (await call("search_symbols", { query: "", sortBy: "name", limit: 4, cursor })).structuredContent;
+      assert.equal(total, all.total);
+      assert.ok(results.length <= 4);
+      walked.push(...results.map(r => `${r.qualifiedName}@${r.file}`));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    assert.deepEqual(walked, all.results.map(r => `${r.qualifiedName}@${r.file}`));
+    assert.equal(new Set(walked).size, all.total);
+    const names = walked.map(k => k.split("@")[0]);
+    assert.deepEqual(names, [...names].sort((a, b) => a.localeCompare(b)));
+  });
+});
+
+test("explain_symbol and get_file_overview page their text but return complete lists", async () => {
+  await withRepo(fixturePath("shop"), async (call) => {
+    const first = await call("explain_symbol", { symbolName: "Cart", sortBy: "name", limit: 1 });
+    assert.deepEqual(first.structuredContent.members.properties.map(p => p.name), ["description", "items", "total"]);
+    assert.match(first.content[0].text, /• description: String[^\n]*\n {3}\.\.\. \+2 more/);
+
+    const second = await call("explain_symbol", { symbolName: "Cart", sortBy: "name", limit: 1, cursor: first.structuredContent.page.nextCursor });
+    assert.equal(second.structuredContent.page.offset, 1);
+    assert.match(second.content[0].text, /• items: \[Product\]/);
+    assert.doesNotMatch(second.content[0].text, /• description/);
+
+    const overview = (await call("get_file_overview", { filePath: "Sources/Core/Cart.swift", limit: 1 })).structuredContent;
+    assert.deepEqual(overview.symbols.functions.map(f => f.name), ["init()", "add(_:)", "clear()"]);
+    assert.equal(overview.page.limit, 1);
+    assert.ok(overview.page.nextCursor);
+  });
+});
+
+test("a cursor is rejected for other arguments or after the index changes", async () => {
+  await withFixtureCopy("shop", async (dir) => {
+    await withRepo(dir, async (call) => {
+      const { page } = (await call("search_symbols", { query: "", limit: 2 })).structuredContent;
+
+      const otherQuery = await call("search_symbols", { query: "o", limit: 2, cursor: page.nextCursor }, { allowError: true });
+      assert.ok(otherQuery.isError);
+      assert.match(otherQuery.content[0].text, /issued for different arguments or before the index changed/);
+
+      const garbage = await call("search_symbols", { query: "", limit: 2, cursor: "not-a-cursor" }, { allowError: true });
+      assert.match(garbage.content[0].text, /Invalid cursor/);
+
+      await fs.writeFile(path.join(dir, "Sources/Core/Wishlist.swift"), "public final class Wishlist {\n    public var saved: [Product] = []\n    public var shared = false\n}\n");
+      await call("refresh_repo");
+
+      const stale = await call("search_symbols", { query: "", limit: 2, cursor: page.nextCursor }, { allowError: true });
+      assert.ok(stale.isError);
+      assert.match(stale.content[0].text, /Start again without a cursor/);
+    });
+  });
+});
@@ -0,0 +1,21 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fixturePath, withRepo } from "./helpers.js";
+
+test("find_references lists use sites with line and column, declarations excluded", async () => {
+  await withRepo(fixturePath("references"), async (call) => {
+    const { structuredContent } = await call("find_references", { symbolName: "Helper" });
+    const sites = structuredContent.references.map(r => `${r.file}:${r.line}:${r.column}`);
+    assert.deepEqual(sites, ["Sources/Host.swift:2:27", "Sources/Host.swift:2:43", "Sources/Host.swift:7:17"]);
+  });
+});
+
+test("explain_symbol counts uses elsewhere in the declaring file, not inside the declaration", async () => {
+  await withRepo(fixturePath("references"), async (call) => {
+    const helper = (await call("explain_symbol", { symbolName: "Helper" })).structuredContent;
+    assert.deepEqual(helper.usage.referencedIn, [{ file: "Sources/Host.swift", references: 1 }]);
+
+    const host = (await call("explain_symbol", { symbolName: "Host" })).structuredContent;
+    assert.deepEqual(host.usage.referencedIn, [{ file: "Sources/Runner.swift", references: 1 }]);
+  });
+});
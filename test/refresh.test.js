@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fs } from "fs";
+import path from "path";
+import { withFixtureCopy, withRepo } from "./helpers.js";
+
+test("refresh_repo re-indexes added, changed and deleted files only", async () => {
+  await withFixtureCopy("shop", async (dir) => {
+    await withRepo(dir, async (call) => {
+      const upToDate = (await call("refresh_repo")).structuredContent;
+      assert.equal(upToDate.upToDate, true);
+      assert.equal(upToDate.unchanged, 7);
+
+      await fs.writeFile(path.join(dir, "Sources/Checkout/Refund.swift"), "struct Refund {\n    let order: Order\n}\n");
+      await fs.writeFile(path.join(dir, "Sources/Core/Wishlist.swift"), "public final class Wishlist {\n    public var saved: [Product] = []\n    public var shared = false\n}\n");
+      await fs.rm(path.join(dir, "Sources/Checkout/CheckoutScreen.swift"));
+
+      const refreshed = (await call("refresh_repo")).structuredContent;
+      assert.deepEqual(refreshed.added, ["Sources/Checkout/Refund.swift"]);
+      assert.deepEqual(refreshed.changed, ["Sources/Core/Wishlist.swift"]);
+      assert.deepEqual(refreshed.deleted, ["Sources/Checkout/CheckoutScreen.swift"]);
+      assert.equal(refreshed.unchanged, 5);
+
+      // The graph, symbol lookup and reference index follow the edits
+      const order = (await call("get_impact_radius", { symbolName: "Order" })).structuredContent;
+      assert.deepEqual(order.dependents.map(d => d.symbol).sort(), ["Receipt", "Refund"]);
+      const wishlist = (await call("explain_symbol", { symbolName: "Wishlist" })).structuredContent;
+      assert.deepEqual(wishlist.members.properties.map(p => p.name), ["saved", "shared"]);
+      assert.deepEqual(wishlist.usage.heldBy, []);
+      const gone = await call("explain_symbol", { symbolName: "CheckoutScreen" }, { allowError: true });
+      assert.ok(gone.isError);
+      const refs = (await call("find_references", { symbolName: "Order" })).structuredContent;
+      assert.ok(refs.references.some(r => r.file === "Sources/Checkout/Refund.swift"));
+    });
+  });
+});
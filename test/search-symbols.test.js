@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fixturePath, withRepo } from "./helpers.js";
+
+const search = async (call, args) => (await call("search_symbols", args)).structuredContent.results.map(r => r.qualifiedName);
+
+test("camel humps, substrings and regular expressions match names", async () => {
+  await withRepo(fixturePath("search"), async (call) => {
+    assert.deepEqual(await search(call, { query: "UVM" }), ["UserViewModel", "makeUserViewModel(for:)"]);
+    assert.deepEqual(await search(call, { query: "UVM", match: "substring" }), []);
+    assert.deepEqual(await search(call, { query: "^User(Model|Error)$", match: "regex" }), ["UserError", "UserModel"]);
+
+    const invalid = await call("search_symbols", { query: "([", match: "regex" }, { allowError: true });
+    assert.ok(invalid.isError);
+    assert.match(invalid.content[0].text, /Invalid regular expression/);
+  });
+});
+
+test("exact matches rank before prefixes, and prefixes before other matches", async () => {
+  await withRepo(fixturePath("search"), async (call) => {
+    const { results } = (await call("search_symbols", { query: "user" })).structuredContent;
+    assert.deepEqual(results.map(r => r.qualifiedName), ["User", "UserError", "UserModel", "UserSettings", "UserViewModel", "makeUserViewModel(for:)"]);
+    assert.ok(results[0].score > results[1].score);
+    assert.ok(results[4].score > results[5].score);
+  });
+});
+
+test("inheritsFrom follows superclasses and refined protocols", async () => {
+  await withRepo(fixturePath("search"), async (call) => {
+    assert.deepEqual(await search(call, { query: "", inheritsFrom: "Codable", sortBy: "name" }), ["Badge", "BaseModel", "Identified", "UserModel"]);
+    assert.deepEqual(await search(call, { query: "", inheritsFrom: "BaseModel" }), ["UserModel"]);
+  });
+});
+
+test("access level, path and kind filters combine with the query", async () => {
+  await withRepo(fixturePath("search"), async (call) => {
+    assert.deepEqual(await search(call, { query: "", accessibility: ["public"] }), ["UserSettings"]);
+    assert.deepEqual(await search(call, { query: "", path: "Sources/Legacy/**" }), ["makeUserViewModel(for:)"]);
+    assert.deepEqual(await search(call, { query: "user", type: "struct" }), ["User", "UserSettings", "UserViewModel"]);
+  });
+});
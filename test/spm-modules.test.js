@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fixturePath, withServer } from "./helpers.js";
+
+test("a Package.swift directory is indexed with each file tagged by its target", async () => {
+  await withServer(async (call) => {
+    const init = (await call("init_swift_repo", { repoPath: fixturePath("shop"), config: { output: { persist: false } } })).structuredContent;
+    assert.deepEqual(init.project, { name: "Shop", type: "spm" });
+    assert.deepEqual(init.package, { name: "Shop", targets: ["Core", "Checkout"] });
+
+    const { modules } = (await call("get_codebase_stats")).structuredContent;
+    assert.deepEqual(modules.map(m => [m.name, m.path, m.files, m.dependencies]), [
+      ["Core", "Sources/Core", 4, []],
+      ["Checkout", "Sources/Checkout", 3, ["Core"]]
+    ]);
+    assert.deepEqual(modules[1].uses.map(u => u.module), ["Core"]);
+
+    const cart = (await call("explain_symbol", { symbolName: "Cart" })).structuredContent;
+    assert.equal(cart.symbol.module, "Core");
+
+    const { results } = (await call("search_symbols", { query: "o", target: "Checkout" })).structuredContent;
+    assert.deepEqual(results.map(r => r.name).sort(), ["CheckoutScreen", "Coordinator", "Order"]);
+    assert.ok(results.every(r => r.module === "Checkout"));
+  });
+});
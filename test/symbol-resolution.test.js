@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fixturePath, withRepo } from "./helpers.js";
+
+test("an ambiguous name lists its candidates instead of guessing", async () => {
+  await withRepo(fixturePath("shop"), async (call) => {
+    const result = await call("explain_symbol", { symbolName: "Coordinator" }, { allowError: true });
+    assert.ok(result.isError);
+    const text = result.content[0].text;
+    assert.match(text, /"Coordinator" is ambiguous \(2 matches\)/);
+    assert.match(text, /"Checkout\.Coordinator"/);
+    assert.match(text, /"Core\.Coordinator"/);
+
+    const nested = await call("explain_symbol", { symbolName: "Coordinator.State" }, { allowError: true });
+    assert.ok(nested.isError);
+    assert.match(nested.content[0].text, /"Checkout\.Coordinator\.State"[\s\S]*"Core\.Coordinator\.State"/);
+  });
+});
+
+test("module, nesting and file qualifiers pick one declaration", async () => {
+  await withRepo(fixturePath("shop"), async (call) => {
+    const state = (await call("explain_symbol", { symbolName: "Core.Coordinator.State" })).structuredContent;
+    assert.deepEqual(
+      [state.symbol.key, state.symbol.qualifiedName, state.symbol.module, state.symbol.file],
+      ["Core.Coordinator.State", "Coordinator.State", "Core", "Sources/Core/Coordinator.swift"]
+    );
+    assert.deepEqual(state.members.properties.map(p => p.name), ["step"]);
+
+    const byFile = (await call("explain_symbol", { symbolName: "State@Checkout/Coordinator.swift" })).structuredContent;
+    assert.equal(byFile.symbol.key, "Checkout.Coordinator.State");
+    assert.deepEqual(byFile.members.properties.map(p => p.name), ["paid"]);
+
+    // Dependents attach to the Coordinator actually referenced, not the last one parsed
+    const checkout = (await call("explain_symbol", { symbolName: "Checkout.Coordinator" })).structuredContent;
+    assert.deepEqual(checkout.usage.heldBy, ["CheckoutScreen.coordinator"]);
+    const core = (await call("get_impact_radius", { symbolName: "Core.Coordinator" })).structuredContent;
+    assert.deepEqual(core.dependents, []);
+  });
+});